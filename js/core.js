@@ -0,0 +1,3394 @@
+// # How to Make a Video Game #
+//
+// How do you make a video game?
+//
+// When I created [Prolix][], I didn't know what I was doing. I had a basic
+// understanding of web design, but I didn't know JavaScript. What I wanted was
+// a video game built on open web standards. Something where I could read the
+// code and understand it and change the rules and make it my own.
+//
+// This is that game.
+//
+// If you'd like to play the game before reading about it, you can do that at
+// [frankmitchell.org/nine-holes][fm]. It'll run on most phone and desktop
+// browsers.
+//
+//
+// [Prolix]: https://prolix-app.com/ "Prolix is a word search game for the iPhone and iPod touch which lets you tweet your scores so your friends can play with you."
+// [fm]: https://www.frankmitchell.org/nine-holes "Frank Mitchell: Nine Holes"
+//
+// ---
+//
+// **Nine Holes** is an old two-player game. It's played on a 3 x 3 board and
+// is reminiscent of tic-tac-toe. Players have three pieces each. They take
+// turns putting them on the board, and the winner is first to get three in
+// a row. Unlike tic-tac-toe, diagonals don't count for a win, and pieces can be
+// moved after they're played.
+//
+// So how do we make that into a video game? Well, let's start with a board.
+const Board = {};
+
+// <style>
+// .board {
+//   display: inline-grid;
+//   grid-template-areas:
+//     ". . ."
+//     ". . ."
+//     ". . ."
+//     ". . ."
+//     ". . ."
+//     ;
+//   border-top: 1px solid gray;
+//   border-left: 1px solid gray;
+// }
+// .board > * {
+//   border-bottom: 1px solid gray;
+//   border-right: 1px solid gray;
+// }
+// .board > *,
+// .ranks > *,
+// .files > * {
+//   font: 1rem/1 sans-serif;
+//   width: 1.8rem;
+//   height: 1.8rem;
+//   display: flex;
+//   justify-content: center;
+//   align-items: center;
+// }
+// .layout {
+//   display: inline-grid;
+//   grid-template-areas:
+//     ". ."
+//     ". ."
+//     ;
+// }
+// .files {
+//   display: flex;
+//   flex-direction: row;
+// }
+// .x:after {
+//   content: 'x';
+// }
+// .y:after {
+//   content: 'y';
+// }
+// .picked {
+//   background: pink;
+// }
+// </style>
+//
+// When talking about board games, it's useful to be able to describe the
+// players and the moves they make in shorthand. Chess notation used numbers for
+// ranks (rows) and letters for files (columns). So we can draw a 3 x 3 board
+// like this:
+//
+// <div class="layout">
+// <div class="ranks">
+//   <div>3</div>
+//   <div>2</div>
+//   <div>1</div>
+// </div>
+// <div class="board">
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+// </div>
+// <div></div>
+// <div class="files">
+//   <div>a</div>
+//   <div>b</div>
+//   <div>c</div>
+// </div>
+// </div>
+//
+// We can reference any space on our board as a letter and number. So "a1" is
+// the space in the lower left corner, and "c3" is the space in the upper right
+// corner.
+//
+// Since we used "a" and "b" as column labels, we'll use X and Y for the
+// players. In our game, players don't start with pieces on the board. But in
+// other games, like Checkers, they do. Let's extend our board slightly so it
+// has starting spaces for the pieces.
+//
+// <div class="layout">
+// <div class="ranks">
+//   <div>5</div>
+//   <div>4</div>
+//   <div>3</div>
+//   <div>2</div>
+//   <div>1</div>
+// </div>
+// <div class="board">
+//   <div class="y"></div>
+//   <div class="y"></div>
+//   <div class="y"></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div class="x"></div>
+//   <div class="x"></div>
+//   <div class="x"></div>
+// </div>
+// <div></div>
+// <div class="files">
+//   <div>a</div>
+//   <div>b</div>
+//   <div>c</div>
+// </div>
+// </div>
+//
+// Every time we start a new game, that's what we want the board to look like.
+//
+// Nine Holes isn't the only game like this. [Achi][], from Ghana, gives each
+// player four pieces and lets them win on the diagonals. Other people play on
+// bigger boards and need longer lines to win. So instead of writing our board
+// size into the code, we'll describe each game with a variant. A variant says
+// how many files (`width`) and ranks (`height`) there are to play on, how many
+// `pieces` each player has, whether `diagonals` count, how long a winning
+// `line` is, and whether pieces can `return` to their starting spaces.
+//
+// In Nine Holes, a piece can jump to any empty space. In [Three Men's
+// Morris][tmm], pieces on the board can only `slide` to a space next to them.
+// Some people only slide along ranks and files (`'orthogonal'`), and some slide
+// along the diagonals too (`'diagonal'`).
+//
+// [Achi]: https://en.wikipedia.org/wiki/Achi_(game) "Various (Wikipedia): Achi (game)"
+// [tmm]: https://en.wikipedia.org/wiki/Three_men%27s_morris "Various (Wikipedia): Three men's morris"
+
+Board.variants = {
+  classic: {
+    name: 'Nine Holes',
+    width: 3,
+    height: 3,
+    pieces: 3,
+    diagonals: false,
+    line: 3,
+    returns: false,
+    slide: false,
+  },
+  diagonals: {
+    name: 'Nine Holes with Diagonals',
+    width: 3,
+    height: 3,
+    pieces: 3,
+    diagonals: true,
+    line: 3,
+    returns: false,
+    slide: false,
+  },
+  achi: {
+    name: 'Achi',
+    width: 3,
+    height: 3,
+    pieces: 4,
+    diagonals: true,
+    line: 3,
+    returns: false,
+    slide: false,
+  },
+  morris: {
+    name: 'Three Men\'s Morris',
+    width: 3,
+    height: 3,
+    pieces: 3,
+    diagonals: false,
+    line: 3,
+    returns: false,
+    slide: 'orthogonal',
+  },
+  square: {
+    name: 'Sixteen Holes',
+    width: 4,
+    height: 4,
+    pieces: 4,
+    diagonals: false,
+    line: 4,
+    returns: false,
+    slide: false,
+  },
+};
+
+// Pieces start in rows along each player's edge of the board. When a player
+// has more pieces than there are files, they get more than one starting rank.
+// X's pieces fill their ranks from the bottom up, and Y's fill theirs from the
+// top down. So let's give ourselves a way to create new game boards.
+
+Board.homes = variant => Math.ceil(variant.pieces / variant.width);
+
+Board.create = (variant = Board.variants.classic) => {
+  const homes = Board.homes(variant);
+  const files = 'abcdefghi'.slice(0, variant.width).split('');
+  const ranks = [];
+
+  for (let rank = 1; rank <= variant.height + (homes * 2); rank += 1) {
+    ranks.push(String(rank));
+  }
+
+  const layout = {};
+
+  files.forEach((file) => {
+    ranks.forEach((rank) => {
+      layout[file + rank] = '';
+    });
+  });
+
+  for (let piece = 0; piece < variant.pieces; piece += 1) {
+    const file = files[piece % files.length];
+    const rank = Math.floor(piece / files.length);
+    layout[file + ranks[rank]] = 'x';
+    layout[file + ranks[ranks.length - rank - 1]] = 'y';
+  }
+
+  return {
+    variant,
+    files,
+    ranks,
+    layout,
+  };
+};
+
+// The `Board.create` function returns everything we need to draw a picture of
+// the game. The board shouldn't care how it's rendered. For all it knows, we
+// could be playing this game on a terminal and drawing it with ASCII text.
+//
+// Now that we can draw the board, we need a way to move pieces around it. If X
+// starts by moving from a1 to c4, we can write that as "a1-c4". If Y responds
+// by moving b5 to a4, we can write that as "b5-a4". We can keep both those
+// moves in a list, `["a1-c4", "b5-a4"]`, and give ourselves a way to make them.
+
+Board.clone = board => JSON.parse(JSON.stringify(board));
+
+Board.move = (board, moves) => {
+  const copy = Board.clone(board);
+
+  moves.forEach((move) => {
+    const [start, end] = move.split('-');
+    copy.layout[end] = copy.layout[start];
+    copy.layout[start] = '';
+  });
+
+  return copy;
+};
+
+// The `Board.move` function uses `JSON.stringify` and `JSON.parse` to make a
+// deep copy of a boad before updating it. This keeps the function pure. The
+// same board and the same moves always give the same output. Pure functions
+// are easier to debug than functions that mutate state, so we'll try to write
+// as many of them as we can.
+//
+// We now have enough code to run a tiny test. We'll create a new board, make
+// two moves on it, and see how the board changes.
+//
+// ```
+// (function testImmutableBoard() {
+//   const starting = Board.create();
+//   const playing = Board.move(starting, ['a1-c4', 'b5-a4']);
+//
+//   assert(starting['a1'] === 'x');
+//   assert(starting['c4'] === '');
+//   assert(starting['b5'] === 'y');
+//   assert(starting['a4'] === '');
+//
+//   assert(playing['a1'] === '');
+//   assert(playing['c4'] === 'x');
+//   assert(playing['b5'] === '');
+//   assert(playing['a4'] === 'y');
+// }());
+// ```
+//
+// It's also handy to be able to write down a whole board in one short line of
+// text. Chess players use [Forsyth-Edwards Notation][fen] for that. We can do
+// the same thing. Starting at the top rank, we write an "x" or "y" for every
+// piece and a number for every run of empty spaces, and put a "/" between
+// ranks. After that comes whose turn it is, how many moves have gone by
+// without a piece leaving a starting space, and the move number. So a new game
+// looks like this.
+//
+// ```
+// yyy/3/3/3/xxx x 0 1
+// ```
+//
+// [fen]: https://en.wikipedia.org/wiki/Forsyth%E2%80%93Edwards_Notation "Various (Wikipedia): Forsyth-Edwards Notation"
+
+Board.toString = (board) => {
+  const ranks = board.ranks.slice().reverse().map((rank) => {
+    let text = '';
+    let empty = 0;
+
+    board.files.forEach((file) => {
+      const piece = board.layout[file + rank];
+      if (piece) {
+        text += (empty || '') + piece;
+        empty = 0;
+      } else {
+        empty += 1;
+      }
+    });
+
+    return text + (empty || '');
+  });
+
+  const number = Math.floor((board.count || 0) / 2) + 1;
+  return `${ranks.join('/')} ${board.turn || 'x'} ${board.quiet || 0} ${number}`;
+};
+
+// Boards don't know whose turn it is or how many moves have been made. Those
+// come from our game engine, which we'll get to later. When they're missing,
+// it's the start of the game and X's turn.
+//
+// Reading a position back is a little more work, because we have to make sure
+// it makes sense. Every rank needs the right number of spaces, each player
+// needs the right number of pieces, and pieces can only sit in their own
+// starting spaces. We compare what we read to a new board to check that.
+// Everything after the ranks is optional. Positions don't say which variant
+// they're for, so we need to know that ahead of time.
+
+Board.fromString = (text, variant) => {
+  const board = Board.create(variant);
+  const start = Board.create(variant);
+  const [layout = '', turn = 'x', quiet = '0', number = '1'] = String(text).trim().split(/\s+/);
+  const rows = layout.split('/');
+  const ranks = board.ranks.slice().reverse();
+
+  if (rows.length !== ranks.length) {
+    throw new Error(`A position needs ${ranks.length} ranks, not ${rows.length}.`);
+  }
+
+  rows.forEach((row, index) => {
+    const rank = ranks[index];
+    const pieces = [];
+
+    row.split('').forEach((piece) => {
+      if (piece === 'x' || piece === 'y') {
+        pieces.push(piece);
+      } else if (/[1-9]/.test(piece)) {
+        for (let i = 0; i < parseInt(piece, 10); i += 1) {
+          pieces.push('');
+        }
+      } else {
+        throw new Error(`"${piece}" on rank ${rank} isn't a piece.`);
+      }
+    });
+
+    if (pieces.length !== board.files.length) {
+      throw new Error(`Rank ${rank} needs ${board.files.length} spaces, not ${pieces.length}.`);
+    }
+
+    board.files.forEach((file, column) => {
+      const space = file + rank;
+      const piece = pieces[column];
+      if (piece && start.layout[space] && start.layout[space] !== piece) {
+        throw new Error(`${piece.toUpperCase()} can't be on ${space}.`);
+      }
+      board.layout[space] = piece;
+    });
+  });
+
+  ['x', 'y'].forEach((player) => {
+    const count = pieces => Object.keys(pieces).filter(space => pieces[space] === player).length;
+    if (count(board.layout) !== count(start.layout)) {
+      throw new Error(`${player.toUpperCase()} needs ${count(start.layout)} pieces, not ${count(board.layout)}.`);
+    }
+  });
+
+  if (turn !== 'x' && turn !== 'y') {
+    throw new Error(`It has to be X or Y's turn, not ${turn}'s.`);
+  }
+
+  if (!/^\d+$/.test(quiet)) {
+    throw new Error(`${quiet} isn't a number of moves.`);
+  }
+
+  if (!/^[1-9]\d*$/.test(number)) {
+    throw new Error(`${number} isn't a move number.`);
+  }
+
+  return Object.assign(board, {
+    turn,
+    quiet: parseInt(quiet, 10),
+    count: ((parseInt(number, 10) - 1) * 2) + (turn === 'y' ? 1 : 0),
+  });
+};
+
+// We'll use positions like these to link to a board, so people can share a
+// tricky spot with each other.
+//
+// ```
+// (function testPositions() {
+//   const playing = Board.move(Board.create(), ['a1-c4', 'b5-a4']);
+//   const position = Board.toString(playing);
+//
+//   assert(position === 'y1y/y1x/3/3/1xx x 0 1');
+//   assert(Board.toString(Board.fromString(position)) === position);
+// }());
+// ```
+//
+// Our board looks like it's working. Putting it on the screen is a job for
+// `js/game.js`, since that only makes sense in a browser. Everything in this
+// file is plain JavaScript, so the same board and rules can drive a web page,
+// a terminal, or a script.
+//
+// So what's the next move?
+//
+// X could play "b1-c4" and try to stack pieces on top of each other. That would
+// be illegal, but the `Board.move` function doesn't know the rules of the game.
+// Just like how we don't want the board to know or care how it's displayed, we
+// also don't want it to know or care about rules. We'll figure those out next.
+//
+// ---
+//
+// Let's write some rules.
+
+const Rules = {};
+
+// You can move your own pieces.
+
+Rules.pickable = (board, player) => {
+  const spaces = Object.keys(board.layout);
+  return spaces.filter(space => board.layout[space] === player);
+};
+
+// You can move a piece to an empty non-starting space. Some variants let you
+// move a piece on the board back to an empty space in your own starting ranks
+// too.
+
+Rules.variant = board => board.variant || Board.variants.classic;
+
+Rules.home = (board, player) => {
+  const homes = Board.homes(Rules.variant(board));
+  const ranks = player === 'x' ? board.ranks.slice(0, homes) : board.ranks.slice(-homes);
+  const spaces = Object.keys(board.layout);
+  return spaces.filter(space => ranks.indexOf(space.slice(1)) > -1);
+};
+
+Rules.starting = board => Rules.home(board, 'x').concat(Rules.home(board, 'y'));
+
+Rules.playable = (board, player) => {
+  const spaces = Object.keys(board.layout);
+  const empty = spaces.filter(space => !board.layout[space]);
+
+  const starting = Rules.starting(board);
+  const home = Rules.variant(board).returns ? Rules.home(board, player) : [];
+  return empty.filter(space => starting.indexOf(space) < 0 || home.indexOf(space) > -1);
+};
+
+// So every combination of a piece you can pick up and a space you can play
+// into, is an allowed move. Moving a piece from one starting space to another
+// doesn't get it any closer to the game though, so that's not allowed.
+//
+// In variants where pieces `slide`, a piece that's already on the board can
+// only move one space. Pieces in their starting spaces can still enter the
+// board anywhere.
+
+Rules.adjacent = (board, start, end) => {
+  const { slide } = Rules.variant(board);
+  const across = Math.abs(board.files.indexOf(start.charAt(0)) - board.files.indexOf(end.charAt(0)));
+  const up = Math.abs(board.ranks.indexOf(start.slice(1)) - board.ranks.indexOf(end.slice(1)));
+
+  if (slide === 'diagonal') {
+    return Math.max(across, up) === 1;
+  }
+
+  return !slide || across + up === 1;
+};
+
+Rules.moves = (board, player) => {
+  const pickable = Rules.pickable(board, player);
+  const playable = Rules.playable(board, player);
+  const starting = Rules.starting(board);
+  const moves = [];
+
+  pickable.forEach((start) => {
+    playable.forEach((end) => {
+      const home = starting.indexOf(start) > -1;
+      if ((home && starting.indexOf(end) < 0) || (!home && Rules.adjacent(board, start, end))) {
+        moves.push(`${start}-${end}`);
+      }
+    });
+  });
+
+  return moves;
+};
+
+// Once a piece is picked, the spaces it can move to are its `targets`.
+
+Rules.targets = (board, player, start) => Rules.moves(board, player)
+  .filter(move => move.split('-')[0] === start)
+  .map(move => move.split('-')[1]);
+
+// That's enough to write a tiny test. Continuing the game above, X has three
+// pieces, and there are seven empty spaces to play into. So that's twenty-one
+// allowed moves.
+//
+// ```
+// (function testMovementRules() {
+//   const starting = Board.create();
+//   const playing = Board.move(starting, ['a1-c4', 'b5-a4']);
+//   const moves = Rules.moves(playing, 'x');
+//
+//   assert(moves.length === 21);
+// }());
+// ```
+//
+// The game is over when either player wins by getting three of their pieces in
+// a row. Diagonals don't count in Nine Holes, and we don't want to include
+// pieces in starting spaces.
+//
+// Other variants need longer lines, or count diagonals. So we look for a line
+// by walking from every space in each direction, one space at a time, until
+// we have as many spaces as the variant's `line` needs.
+
+Rules.directions = (board) => {
+  const directions = [[1, 0], [0, 1]];
+  return Rules.variant(board).diagonals ? directions.concat([[1, 1], [1, -1]]) : directions;
+};
+
+Rules.line = (board) => {
+  const variant = Rules.variant(board);
+  const homes = Board.homes(variant);
+  const files = board.files.slice();
+  const ranks = board.ranks.slice(homes, -homes);
+
+  let line = [];
+
+  Rules.directions(board).forEach(([across, up]) => {
+    ranks.forEach((rank, y) => {
+      files.forEach((file, x) => {
+        if (line.length > 0) {
+          return;
+        }
+
+        const spaces = [];
+        for (let i = 0; i < variant.line; i += 1) {
+          const space = (files[x + (across * i)] || '') + (ranks[y + (up * i)] || '');
+          if (space.length > 1) {
+            spaces.push(space);
+          }
+        }
+
+        const players = spaces.map(space => board.layout[space]);
+        if (spaces.length === variant.line && new Set(players).size === 1 && players[0]) {
+          line = spaces;
+        }
+      });
+    });
+  });
+
+  return line;
+};
+
+Rules.winner = (board) => {
+  const line = Rules.line(board);
+  return line.length > 0 ? board.layout[line[0]] : undefined;
+};
+
+// The decision to test for rank wins (horizontal) first instead of file wins
+// (vertical) is totally arbitrary. Diagonals come last. The `slice()` function
+// is used to get copies of the ranks and files from the board without changing
+// it. We return the whole winning `line` of spaces, not just the winner, so we
+// can show it off when the game is over.
+//
+// We'll write a test to cover all four cases:
+//
+// 1. Starting space don't count.
+// 2. Three in a row horizontally wins.
+// 3. Three in a row vertically wins.
+// 4. Three in a row diagonally doesn't count.
+//
+// ```
+// (function testWinnerRules() {
+//   const starting = Board.create();
+//   assert(Rules.winner(starting) === undefined);
+//
+//   const horizontal = Board.move(starting, ['a1-a2', 'b1-b2', 'c1-c2']);
+//   assert(Rules.winner(horizontal) === 'x');
+//
+//   const vertical = Board.move(starting, ['a5-a4', 'b5-a3', 'c5-a2']);
+//   assert(Rules.winner(vertical) === 'y');
+//
+//   const diagonal = Board.move(starting, ['a1-a2', 'b1-b3', 'c1-c4']);
+//   assert(Rules.winner(diagonal) === undefined);
+//
+//   const achi = Board.move(Board.create(Board.variants.achi), ['a1-a3', 'b1-b4', 'c1-c5']);
+//   assert(Rules.winner(achi) === 'x');
+// }());
+// ```
+//
+// There are other edge cases we could cover, like three in a row vertically
+// where one of the pieces is in a starting space. But the goal here isn't
+// exhaustive test coverage.
+//
+// Sometimes nobody wins. Once all their pieces are on the board, two careful
+// players can shuffle them around forever. So like chess, we call the game a
+// draw if the same board comes up three times with the same player to move, or
+// if fifty moves go by without anyone bringing a new piece onto the board.
+
+Rules.draws = {
+  repetitions: 3,
+  moves: 50,
+};
+
+// The rules don't remember anything, so checking for a draw needs a board
+// that keeps track of how many times it's `seen` each position, and how many
+// `quiet` moves have been made since a piece left a starting space. We'll
+// build boards like that in our engine. Boards without that history can't be
+// drawn, and a win always beats a draw. Setting either rule to zero turns it
+// off.
+//
+// When pieces slide, they can get boxed in. Like in Three Men's Morris, a
+// player whose `turn` it is and who can't move loses.
+
+Rules.result = (board) => {
+  const winner = Rules.winner(board);
+  if (winner) {
+    return winner;
+  }
+
+  if (board.turn && Rules.moves(board, board.turn).length < 1) {
+    return board.turn === 'x' ? 'y' : 'x';
+  }
+
+  const draws = board.draws || {};
+  const seen = board.seen || {};
+  const repeated = Object.keys(seen).some(key => seen[key] >= draws.repetitions);
+  const stalled = board.quiet >= draws.moves;
+
+  if ((draws.repetitions && repeated) || (draws.moves && stalled)) {
+    return 'draw';
+  }
+
+  return undefined;
+};
+
+// A result of `'x'` or `'y'` means that player won, and `'draw'` means nobody
+// did. If the game isn't over yet, there's no result.
+//
+// Often the best way to test a game is to start playing it. To do that, we'll
+// need an oppontent.
+//
+// ---
+//
+// Let's write an AI.
+
+const AI = {};
+
+// Our AI can use the rules to find all the winning moves available to it.
+
+AI.winning = (board, player) => {
+  const moves = Rules.moves(board, player);
+  return moves.filter((move) => {
+    const test = Board.move(board, [move]);
+    return Rules.winner(test) === player;
+  });
+};
+
+// Our AI can also use the rules to find all the blocking moves available to it.
+// Assume it's the other player's turn. What move would they make to win? If the
+// AI can find a move it can make that puts its piece in the same space, that's
+// a blocking move.
+
+AI.opponent = player => (player === 'x' ? 'y' : 'x');
+
+AI.blocking = (board, player) => {
+  const opponent = AI.opponent(player);
+  const winning = AI.winning(board, opponent).map(move => move.slice(3));
+  const blocking = Rules.moves(board, player);
+  return blocking.filter(move => winning.indexOf(move.slice(3)) > -1);
+};
+
+// Our AI wants to get all its pieces on the board. So it can use the rules to
+// find moves that originate from a starting space.
+
+AI.starting = (board, player) => {
+  const moves = Rules.moves(board, player);
+  const starting = Rules.starting(board);
+  return moves.filter(move => starting.indexOf(move.slice(0, 2)) > 0);
+};
+
+// Our AI is simple. It plays a winning move if it sees one. Otherwise it plays
+// a blocking move. If it doesn't see any winning or blocking moves, it plays a
+// legal move. It prefers to play starting moves first.
+
+AI.moves = (board, player) => {
+  const winning = AI.winning(board, player);
+  if (winning.length > 0) {
+    return winning;
+  }
+
+  const blocking = AI.blocking(board, player);
+  if (blocking.length > 0) {
+    return blocking;
+  }
+
+  const starting = AI.starting(board, player);
+  if (starting.length > 0) {
+    return starting;
+  }
+
+  return Rules.moves(board, player);
+};
+
+// When there's more than one move to choose from, our AI picks one at random.
+// It rolls whatever `random` dice it's handed, or `AI.random` if it isn't
+// handed any. That's plain `Math.random` unless someone swaps in their own.
+//
+// Dice that start from a `seed` roll the same numbers every time, so the AI
+// makes the same choices every time too. That way a strange move can be played
+// again and looked at. Our `seeded` dice are a [Mulberry32][m32] generator.
+// It's tiny, fast, and more than random enough for picking between moves.
+//
+// [m32]: https://gist.github.com/tommyettinger/46a874533244883189143505d203312c "Tommy Ettinger: Mulberry32"
+
+AI.random = Math.random;
+
+AI.seeded = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+AI.pick = (moves, random = AI.random) => {
+  const index = Math.floor(random() * moves.length);
+  return moves[index];
+};
+
+// That's a fine opponent for someone learning the game, but it never looks more
+// than one move ahead. It can't see a fork coming. If X sets up two different
+// ways to win, blocking one of them still loses to the other.
+//
+// To see further ahead, our AI needs to search. For every move it can make, it
+// can ask what the other player's best reply would be, and what its best reply
+// to that would be, and so on. That's called [minimax][]. We score a board from
+// the point of view of the player whose turn it is. A loss is a big negative
+// number, and since a win for one player is a loss for the other, the score of
+// a move is the negative of the other player's best score after it.
+//
+// [minimax]: https://en.wikipedia.org/wiki/Negamax "Various (Wikipedia): Negamax"
+
+AI.WIN = 100;
+
+// Searching the whole game takes a long time, so we stop after `depth` moves
+// and call the board even. Losing sooner is worse than losing later, so we add
+// the depth we had left to the score. That makes our AI take the fastest win it
+// can find, and drag out a loss for as long as it can.
+//
+// Many different move orders lead to the same board, so we keep a table of
+// boards we've already scored. That's called a [transposition table][tt]. We
+// also stop looking at moves once we've found one so good the other player
+// would never allow it. That's called [alpha-beta pruning][ab]. The `alpha`
+// score is the best we're sure of, and the `beta` score is the best the other
+// player will let us have.
+//
+// [tt]: https://www.chessprogramming.org/Transposition_Table "Various (Chess Programming Wiki): Transposition Table"
+// [ab]: https://en.wikipedia.org/wiki/Alpha%E2%80%93beta_pruning "Various (Wikipedia): Alpha-beta pruning"
+
+AI.key = (board, player) => {
+  const spaces = Object.keys(board.layout);
+  return spaces.map(space => board.layout[space] || '-').join('') + player;
+};
+
+AI.search = (board, player, depth, alpha, beta, table, stopped) => {
+  if (stopped && stopped()) {
+    throw AI.interrupted;
+  }
+
+  if (Rules.winner(board)) {
+    return -(AI.WIN + depth);
+  }
+
+  if (depth <= 0) {
+    return 0;
+  }
+
+  const key = AI.key(board, player) + depth;
+  const cached = table.get(key);
+  if (cached) {
+    if (cached.bound === 'exact') {
+      return cached.score;
+    }
+    if (cached.bound === 'lower' && cached.score >= beta) {
+      return cached.score;
+    }
+    if (cached.bound === 'upper' && cached.score <= alpha) {
+      return cached.score;
+    }
+  }
+
+  const moves = Rules.moves(board, player);
+  if (moves.length < 1) {
+    return -(AI.WIN + depth);
+  }
+
+  const opponent = AI.opponent(player);
+  let best = -Infinity;
+  let low = alpha;
+
+  moves.some((move) => {
+    const next = Board.move(board, [move]);
+    const score = -AI.search(next, opponent, depth - 1, -beta, -low, table, stopped);
+    best = Math.max(best, score);
+    low = Math.max(low, score);
+    return low >= beta;
+  });
+
+  let bound = 'exact';
+  if (best <= alpha) {
+    bound = 'upper';
+  } else if (best >= beta) {
+    bound = 'lower';
+  }
+  table.set(key, { score: best, bound });
+
+  return best;
+};
+
+// A score that's cut off by `alpha` or `beta` is only a bound on the real
+// score, so we remember which kind of bound it is. We can only reuse it if
+// it's enough to cause the same cut off again. A player with no moves left has
+// lost, just like in our rules.
+//
+// On bigger boards, a deep search can take seconds. Whoever's waiting on one
+// can hand it a `stopped` function, and the search checks it at every board.
+// Once it says yes, the search gives up by throwing `AI.interrupted`. Scores
+// it already worked out are still right, so the table can keep them.
+//
+// With search in place, we can score every move we're allowed to make and keep
+// the best ones. When several moves are equally good, we keep them all so our
+// AI doesn't play the same game every time.
+
+AI.interrupted = new Error('The search ran out of time.');
+
+AI.best = (board, player, depth, stopped) => {
+  const opponent = AI.opponent(player);
+  const table = new Map();
+  let best = -Infinity;
+  let moves = [];
+
+  Rules.moves(board, player).forEach((move) => {
+    const next = Board.move(board, [move]);
+    const score = -AI.search(next, opponent, depth - 1, -Infinity, 1 - best, table, stopped);
+    if (score > best) {
+      best = score;
+      moves = [];
+    }
+    if (score === best) {
+      moves.push(move);
+    }
+  });
+
+  return moves;
+};
+
+// When we can't wait as long as a search wants, we search one move deep, then
+// two, and so on, keeping the best moves from the deepest search we finished.
+// That's called [iterative deepening][id]. The shallow searches are quick next
+// to the deep ones, so they don't cost much, and when time runs out partway
+// through a search we still have something to play. One move deep always
+// finishes, so there's always a move.
+//
+// The simplest way to say when to stop is with a `stopwatch`, which says yes
+// once a budget of milliseconds has run out. But how far a search gets in that
+// time depends on how fast the computer is. When the same game has to play out
+// the same way everywhere, we use a `counter` instead, which says yes once the
+// search has looked at a number of boards.
+//
+// [id]: https://www.chessprogramming.org/Iterative_Deepening "Various (Chess Programming Wiki): Iterative Deepening"
+
+AI.deepen = (board, player, depth, stopped) => {
+  let found = { moves: AI.best(board, player, 1), depth: 1 };
+
+  for (let ply = 2; ply <= depth && !(stopped && stopped()); ply += 1) {
+    try {
+      found = { moves: AI.best(board, player, ply, stopped), depth: ply };
+    } catch (e) {
+      if (e !== AI.interrupted) {
+        throw e;
+      }
+      break;
+    }
+  }
+
+  return found;
+};
+
+AI.stopwatch = (budget) => {
+  const deadline = Date.now() + budget;
+  return () => Date.now() >= deadline;
+};
+
+AI.counter = (boards) => {
+  let searched = 0;
+  return () => {
+    searched += 1;
+    return searched > boards;
+  };
+};
+
+// How far our AI looks ahead is how hard it is to beat. Easy keeps the one move
+// heuristic we started with. Medium looks three moves ahead, which is far
+// enough to set up a fork and win with it. Hard looks five moves ahead. No
+// forced win in Nine Holes takes longer than that, so hard plays perfectly.
+// When there's a tablebase loaded, which we'll get to in a bit, hard looks its
+// moves up instead of searching for them.
+//
+// Anyone who can't wait for the whole search can pass a `stopped` function.
+// Then we deepen up to the level's depth instead, and settle for the deepest
+// search that finished in time.
+//
+// When our AI plays a game, it stops after looking at a hundred thousand
+// `boards`. That's enough to finish every search on the three by three boards,
+// and takes a couple of seconds on the bigger ones.
+
+AI.levels = {
+  easy: 0,
+  medium: 3,
+  hard: 5,
+};
+
+AI.boards = 100000;
+
+AI.level = level => (level in AI.levels ? level : 'easy');
+
+AI.choices = (game, player, level, stopped) => {
+  const board = {
+    variant: game.variant,
+    files: game.files,
+    ranks: game.ranks,
+    layout: game.layout,
+  };
+  const depth = AI.levels[AI.level(level)];
+
+  if (depth <= 0) {
+    return AI.moves(board, player);
+  }
+
+  if (depth >= AI.levels.hard) {
+    const perfect = AI.perfect(board, player);
+    if (perfect.length > 0) {
+      return perfect;
+    }
+  }
+
+  return stopped ? AI.deepen(board, player, depth, stopped).moves : AI.best(board, player, depth);
+};
+
+AI.move = (board, player, level, random, stopped) => AI.pick(AI.choices(board, player, level, stopped), random);
+
+// Our engine keeps a lot more than the layout on its boards. Our AI only cares
+// where the pieces are, so it leaves the rest behind instead of copying it for
+// every move it searches.
+
+// Let's test that our AI can see a fork. X has pieces on a2 and b3, with one
+// left to play from c1. Playing c1 to b2 threatens to win with a2-b2-c2 and
+// b2-b3-b4. Y can only block one of those lines, so it's the only winning move
+// there is.
+//
+// ```
+// (function testForks() {
+//   const board = Board.move(Board.create(), ['a1-a2', 'a5-a3', 'b1-b3', 'a3-a4']);
+//
+//   assert(AI.winning(board, 'x').length === 0);
+//   assert(AI.best(board, 'x', AI.levels.medium).join() === 'c1-b2');
+// }());
+// ```
+//
+// Nine Holes is small enough that we don't have to search at all. Each player
+// has three pieces, and every piece is either on one of its own starting
+// spaces or on one of the nine playable spaces. So there are only a few tens of
+// thousands of boards. We can list them all in the same order every time.
+
+AI.layouts = (board) => {
+  const spaces = Object.keys(board.layout);
+  const starting = Rules.starting(board);
+  const layouts = [];
+
+  const place = (index, layout, left) => {
+    if (index >= spaces.length) {
+      if (!left.x && !left.y) {
+        layouts.push(layout);
+      }
+      return;
+    }
+
+    const space = spaces[index];
+    const pieces = starting.indexOf(space) < 0 ? ['x', 'y'] : [board.layout[space]];
+
+    place(index + 1, `${layout}-`, left);
+    pieces.filter(piece => left[piece] > 0).forEach((piece) => {
+      place(index + 1, layout + piece, Object.assign({}, left, { [piece]: left[piece] - 1 }));
+    });
+  };
+
+  place(0, '', {
+    x: Rules.pickable(board, 'x').length,
+    y: Rules.pickable(board, 'y').length,
+  });
+
+  return layouts;
+};
+
+// The `board` we list layouts for is a starting board, so the pieces on its
+// starting spaces tell us who's allowed to be there. The layouts are strings in
+// the same format as `AI.key`, with a `-` for every empty space.
+//
+// Working backwards from every finished game, we can figure out who wins from
+// every one of those boards, and how many moves it takes. That's called an
+// [endgame tablebase][etb]. The `tools/solve.js` script builds one by running
+// our rules in [Node.js][node]. Run `npm run solve` and it writes the results
+// to `js/tablebase.js`.
+//
+// A tablebase is a string with two characters for every layout, one for X to
+// move and one for Y to move. A digit is the number of moves until the game is
+// over. Odd numbers mean the player to move wins, and even numbers mean they
+// lose. An `=` means neither player can force a win, and a `.` means the board
+// can't come up in a real game.
+//
+// [etb]: https://en.wikipedia.org/wiki/Endgame_tablebase "Various (Wikipedia): Endgame tablebase"
+// [node]: https://nodejs.org/ "Node.js Foundation: Node.js"
+
+AI.learn = (results) => {
+  AI.tablebase = { variant: Board.variants.classic, results };
+};
+
+AI.lookup = (board, player) => {
+  const { tablebase } = AI;
+  if (!tablebase || JSON.stringify(Rules.variant(board)) !== JSON.stringify(tablebase.variant)) {
+    return undefined;
+  }
+
+  if (!tablebase.index) {
+    tablebase.index = new Map();
+    AI.layouts(Board.create()).forEach((layout, index) => {
+      tablebase.index.set(layout, index);
+    });
+  }
+
+  const layout = AI.key(board, player).slice(0, -1);
+  const index = tablebase.index.get(layout);
+  if (index === undefined) {
+    return undefined;
+  }
+
+  const result = tablebase.results.charAt((index * 2) + (player === 'x' ? 0 : 1));
+
+  if (result === '=') {
+    return { result: 'draw' };
+  }
+
+  const distance = parseInt(result, 36);
+  if (Number.isNaN(distance)) {
+    return undefined;
+  }
+
+  return { result: distance % 2 ? 'win' : 'loss', distance };
+};
+
+// Indexing every layout takes a moment, so we wait until the first lookup to
+// do it. Boards that aren't in the tablebase, and boards we haven't loaded a
+// tablebase for, come back `undefined`. Our tablebase is only for classic Nine
+// Holes, so boards from other variants come back `undefined` too.
+//
+// Playing perfectly is then a matter of looking at the board after every move
+// we could make. We want to leave the other player with a loss, as fast as
+// possible. If we can't, we'll settle for a draw. And if we're going to lose
+// anyway, we'll make it take as long as we can.
+
+AI.perfect = (board, player) => {
+  const opponent = AI.opponent(player);
+  let best = -Infinity;
+  let moves = [];
+
+  Rules.moves(board, player).every((move) => {
+    const next = AI.lookup(Board.move(board, [move]), opponent);
+    if (!next) {
+      moves = [];
+      return false;
+    }
+
+    let score = 0;
+    if (next.result === 'loss') {
+      score = AI.WIN - next.distance;
+    } else if (next.result === 'win') {
+      score = next.distance - AI.WIN;
+    }
+
+    if (score > best) {
+      best = score;
+      moves = [];
+    }
+    if (score === best) {
+      moves.push(move);
+    }
+    return true;
+  });
+
+  return moves;
+};
+
+// If any move leads somewhere the tablebase doesn't know about, we don't
+// trust it and return no moves at all. That's our AI's cue to search instead.
+//
+// We can check the tablebase against our search. With five moves of look ahead,
+// `AI.search` scores a board as a win, loss, or draw in the same number of
+// moves as the tablebase.
+//
+// ```
+// (function testTablebase() {
+//   AI.learn(require('./tablebase'));
+//   const board = Board.move(Board.create(), ['a1-a2', 'a5-a3', 'b1-b3', 'a3-a4']);
+//   const score = AI.search(board, 'x', AI.levels.hard, -Infinity, Infinity, new Map());
+//   const { result, distance } = AI.lookup(board, 'x');
+//
+//   assert(result === 'win');
+//   assert(score === AI.WIN + AI.levels.hard - distance);
+// }());
+// ```
+//
+// Because our AI is stateless, and all its functions take a `player` argument,
+// it can play our game against itself.
+//
+// ```
+// (function testAI() {
+//   let board = Board.create();
+//   let winner;
+//
+//   while (!winner) {
+//     const xmove = AI.move(board, 'x');
+//     board = Board.move(board, [xmove]);
+//     console.log(`x plays ${xmove} resulting in`, JSON.stringify(board.layout));
+//
+//     const ymove = AI.move(board, 'y');
+//     board = Board.move(board, [ymove]);
+//     console.log(`y plays ${ymove} resulting in`, JSON.stringify(board.layout));
+//
+//     winner = Rules.winner(board);
+//   }
+//
+//   console.log(`${winner} wins!`);
+// }());
+// ```
+//
+// Our AI can help people too. When someone's stuck, we can ask it for the move
+// it would make in their place, playing as hard as it can. It's nice to know
+// why a move is good, so we say whether it wins the game, blocks the other
+// player from winning, or neither.
+//
+// Searching as hard as it can takes seconds on the bigger boards, and nobody
+// wants to wait that long for a hint. So unless we say otherwise, it gets a
+// second to think, and suggests the best move it found in that time.
+
+AI.hint = (board, player, random, stopped = AI.stopwatch(1000)) => {
+  const move = AI.move(board, player, 'hard', random, stopped);
+  let kind = 'neutral';
+
+  if (AI.winning(board, player).indexOf(move) > -1) {
+    kind = 'winning';
+  } else if (AI.blocking(board, player).indexOf(move) > -1) {
+    kind = 'blocking';
+  }
+
+  return { move, kind };
+};
+
+// It looks like our AI works, but we won't really know until we play a game
+// against it. Let's combine our board, rules, and AI into something that can
+// drive our renderer.
+//
+// ---
+//
+// Let's write a game engine.
+
+const Engine = {};
+
+// Our engine needs to know how hard the AI should play, which `strategy` it
+// plays with, and which draw rules we're using. Since the engine is stateless,
+// we keep those settings on the board, right next to the layout. Moving pieces
+// around copies the whole board, so they're there on every tick.
+//
+// It also needs to know which `players` are people and which are the AI. By
+// default, a person plays X and the AI plays Y. But two people can share a
+// phone and play each other, or we can sit back and watch the AI play itself.
+// A person can also play someone `remote`, in a `room` on a server somewhere,
+// or someone they trade moves with by `mail`. New players can work through a
+// `lesson` against a `tutor` that sticks to a script, or try to solve a
+// `puzzle`. We'll get to all of those later. And when two people are playing,
+// it's nice to `flip` the board around so the player whose turn it is sees
+// their pieces at the bottom.
+//
+// X moves `first` unless we say otherwise. Playing second, or playing as Y, is
+// a good way to learn the game from the other side.
+//
+// The board also keeps track of whose `turn` it is, how many times it's `seen`
+// each position, and how many `quiet` moves have gone by since a piece left a
+// starting space. That's everything `Rules.result` needs to spot a draw. We
+// `count` the moves too, so we can show how long the game has gone on, and
+// keep every move that's been made in its `history`. Moves that have been taken
+// back, but could be made again, are its `future`.
+
+Engine.modes = {
+  single: { x: 'human', y: 'ai' },
+  hotseat: { x: 'human', y: 'human' },
+  demo: { x: 'ai', y: 'ai' },
+  online: { x: 'human', y: 'remote' },
+  correspondence: { x: 'human', y: 'mail' },
+};
+
+Engine.create = (settings = {}) => {
+  const { variant, position } = settings;
+  const start = position ? Board.fromString(position, variant) : Board.create(variant);
+  const first = start.turn || (settings.first === 'y' ? 'y' : 'x');
+
+  const board = Object.assign(start, {
+    level: AI.level(settings.level),
+    strategy: settings.strategy || 'search',
+    draws: Object.assign({}, Rules.draws, settings.draws),
+    players: Object.assign({}, Engine.modes.single, settings.players),
+    flip: Boolean(settings.flip),
+    position,
+    room: settings.room,
+    lesson: settings.lesson,
+    puzzle: settings.puzzle,
+    seed: Engine.seed(settings.seed),
+    first,
+    turn: first,
+    seen: {},
+    quiet: start.quiet || 0,
+    count: start.count || (first === 'y' ? 1 : 0),
+    history: [],
+    future: [],
+  });
+
+  board.seen[AI.key(board, board.turn)] = 1;
+  board.result = Rules.result(board);
+  board.line = Rules.line(board);
+  return board;
+};
+
+// Every game is played with a `variant` of the rules, classic Nine Holes if we
+// don't say otherwise. A game doesn't have to start from the beginning either.
+// Given a `position` string, we start from that board instead, and whoever's
+// turn it is there moves first. Our `count` of moves works like the move
+// number in a position, so if Y moves first, we start counting from one
+// instead of zero.
+
+Engine.settings = board => ({
+  variant: board.variant,
+  level: board.level,
+  strategy: board.strategy,
+  draws: board.draws,
+  players: board.players,
+  flip: board.flip,
+  first: board.first,
+  position: board.position,
+  room: board.room,
+  lesson: board.lesson,
+  puzzle: board.puzzle,
+  seed: board.seed,
+});
+
+// The `Engine.settings` function pulls the settings back out of a board, so we
+// can start a new game just like it.
+//
+// We can also tell which players are `humans`, and from that, which of the
+// `modes` a board is being played in.
+
+Engine.humans = (board) => {
+  const players = board.players || {};
+  return Object.keys(players).filter(player => players[player] === 'human');
+};
+
+Engine.mode = (board) => {
+  const players = board.players || {};
+  const seats = Object.keys(players).map(player => players[player]);
+  if (seats.indexOf('remote') > -1) {
+    return 'online';
+  }
+
+  if (seats.indexOf('mail') > -1) {
+    return 'correspondence';
+  }
+
+  const modes = ['demo', 'single', 'hotseat'];
+  return modes[Engine.humans(board).length];
+};
+
+// Every game gets a `seed` for the AI's dice too, picked at random unless we
+// say otherwise. It's one of the settings, so it's saved along with the game,
+// and starting the game over from its settings rolls the same dice.
+//
+// The dice for each move come from the seed and how many moves have been made.
+// So two games with the same seed, where people make the same moves, get the
+// same replies from the AI. That's true no matter how many times moves get
+// taken back and made again. We make our dice with `Engine.random`, which is
+// the AI's `seeded` dice unless someone would rather use their own.
+
+Engine.seed = seed => (seed === undefined ? Math.floor(Math.random() * 4294967296) : seed >>> 0);
+
+Engine.random = AI.seeded;
+
+Engine.dice = board => Engine.random((board.seed + Math.imul(board.history.length + 1, 0x9E3779B9)) >>> 0);
+
+Engine.play = (board, move) => {
+  const start = move.split('-')[0];
+  const next = Board.move(board, [move]);
+
+  next.turn = AI.opponent(board.layout[start]);
+  next.quiet = Rules.starting(board).indexOf(start) > -1 ? 0 : board.quiet + 1;
+  next.count = board.count + 1;
+  next.history = board.history.concat([move]);
+
+  const key = AI.key(next, next.turn);
+  next.seen[key] = (next.seen[key] || 0) + 1;
+  next.result = Rules.result(next);
+  next.line = Rules.line(next);
+
+  return next;
+};
+
+// The `Engine.play` function makes a move and updates the history that goes
+// along with it. Bringing a piece onto the board can't be undone, so it resets
+// the `quiet` count, and any board we saw before it can never come up again.
+// We also keep the `result` and the winning `line` on the board, so our
+// renderer can show them without having to know the rules.
+//
+// Let's test that shuffling pieces back and forth ends in a draw. After X and Y
+// each bring a piece onto the board, they move it away and back again. The
+// second time they do that, the board has come up three times.
+//
+// ```
+// (function testDraws() {
+//   const shuffle = ['a2-a3', 'a4-b4', 'a3-a2', 'b4-a4'];
+//   let board = Engine.create();
+//
+//   ['a1-a2', 'a5-a4', ...shuffle].forEach((move) => {
+//     board = Engine.play(board, move);
+//   });
+//   assert(Rules.result(board) === undefined);
+//
+//   shuffle.forEach((move) => {
+//     board = Engine.play(board, move);
+//   });
+//   assert(Rules.result(board) === 'draw');
+// }());
+// ```
+
+// A fixed unit of time in video games is often called a tick. With every tick
+// the game state changes, and the board needs to be rendered. For our game, a
+// move by the player or a move by the AI is a tick.
+
+Engine.seats = {};
+
+Engine.tick = (board, player, start, end) => {
+  if (Rules.result(board)) {
+    return [Board.clone(board), undefined];
+  }
+
+  const seat = Engine.seats[board.players[board.turn]];
+  if (seat) {
+    const move = seat(board);
+    if (!move || Rules.moves(board, board.turn).indexOf(move) < 0) {
+      return [Board.clone(board), undefined];
+    }
+    return [Object.assign(Engine.play(board, move), { future: [] }), undefined];
+  }
+
+  const move = `${start}-${end}`;
+  if (player === board.turn && Rules.moves(board, player).indexOf(move) > -1) {
+    return [Object.assign(Engine.play(board, move), { future: [] }), undefined];
+  }
+
+  const pickable = Rules.pickable(board, player);
+  const picked = [end, start].filter(space => pickable.indexOf(space) > -1);
+  return [Board.clone(board), ...picked];
+};
+
+// The `Engine.tick` function takes a board, a player, and a move. It returns
+// a board and a picked piece. That response matches the input to the
+// `Renderer.render` function, so we can draw the board with every tick.
+//
+// If the game is over, because either the player or AI has won or because
+// it's a draw, we return the board unchanged with nothing picked.
+//
+// If it's the AI's turn, it ignores what the player picked and makes its own
+// move, with whichever strategy the board says to use. The AI isn't the only
+// kind of player that isn't a person, so each kind has a function in
+// `Engine.seats` that comes up with its moves. We'll fill them in as we go.
+// One that doesn't have a move yet, or comes up with one that isn't legal,
+// leaves the board how it was. Otherwise, if it's the player's turn and they're
+// allowed to make their move, they take it. Either way, we return the updated
+// board with nothing picked, and it's the other player's turn.
+//
+// Splitting the player's move and the AI's reply into separate ticks lets us
+// draw the board in between. So the player gets to see their move land while
+// the AI is thinking about what to do next. Making a new move also means any
+// moves that were taken back can't be made again, so the board's `future` is
+// cleared.
+//
+// If the player tried to make an illegal move, we return the board unchanged.
+// But we also need to figure out what space to leave picked. We know the player
+// picked `start` and then picked `end`, so we return the _last_ valid space
+// they chose. This lets the player pick a piece and then change their mind and
+// pick a different piece.
+//
+// Let's write a test to check illegal moves.
+//
+// ```
+// (function testIllegalMoves() {
+//   const board = Engine.create();
+//   const empty = 'a2';
+//   const ai = 'a5';
+//   const player1 = 'a1';
+//   const player2 = 'b1';
+//
+//   assert(Engine.tick(board, 'x', ai, empty)[1] === undefined);
+//   assert(Engine.tick(board, 'x', ai, ai)[1] === undefined);
+//   assert(Engine.tick(board, 'x', ai, player1)[1] === player1);
+//
+//   assert(Engine.tick(board, 'x', empty, empty)[1] === undefined);
+//   assert(Engine.tick(board, 'x', empty, ai)[1] === undefined);
+//   assert(Engine.tick(board, 'x', empty, player1)[1] === player1);
+//
+//   // `player1` to `empty` is a valid move, so we don't need to test it.
+//   assert(Engine.tick(board, 'x', player1, ai)[1] === player1);
+//   assert(Engine.tick(board, 'x', player1, player2)[1] === player2);
+// }());
+// ```
+//
+// Because our engine is stateless, we can use the AI to play our game against
+// the engine. With every other tick, the engine makes a move for the other
+// player.
+//
+// ```
+// (function testEngine() {
+//   let board = Engine.create();
+//
+//   while (!board.result) {
+//     const xmove = AI.move(board, 'x');
+//     [board] = Engine.tick(board, 'x', ...xmove.split('-'));
+//     console.log(`x plays ${xmove} resulting in`, JSON.stringify(board.layout));
+//
+//     [board] = Engine.tick(board, 'x');
+//     console.log('y replies resulting in', JSON.stringify(board.layout));
+//   }
+//
+//   console.log(`${board.result} wins!`);
+// }());
+// ```
+//
+// Everyone makes mistakes. Since the board keeps a list of every move that's
+// been made, we can get back to any point in the game by starting a new one
+// and making those moves again. Moves after that point go into the board's
+// `future`, so we can get back to them too.
+
+Engine.rewind = (board, count) => {
+  const moves = board.history.concat(board.future);
+
+  let previous = Engine.create(Engine.settings(board));
+
+  moves.slice(0, count).forEach((move) => {
+    previous = Engine.play(previous, move);
+  });
+
+  previous.future = moves.slice(count);
+  return previous;
+};
+
+// Taking back a move only to have the AI make the same reply isn't much use.
+// So undo keeps taking moves back until it's a person's turn again. Usually
+// that's a pair of moves, the player's and the AI's reply to it. Redo does the
+// same thing in the other direction.
+
+Engine.undo = (board) => {
+  let previous = Board.clone(board);
+
+  while (previous.history.length > 0) {
+    previous = Engine.rewind(board, previous.history.length - 1);
+    if (previous.players[previous.turn] === 'human') {
+      break;
+    }
+  }
+
+  return previous;
+};
+
+Engine.redo = (board) => {
+  let next = Board.clone(board);
+
+  while (next.future.length > 0) {
+    next = Engine.rewind(board, next.history.length + 1);
+    if (next.players[next.turn] === 'human') {
+      break;
+    }
+  }
+
+  return next;
+};
+
+// Because every step replays the game from the start, the draw rules see the
+// same history they would have if the moves had been made for real.
+//
+// ```
+// (function testUndo() {
+//   let board = Engine.create();
+//   [board] = Engine.tick(board, 'x', 'a1', 'a2');
+//   [board] = Engine.tick(board, 'x');
+//
+//   const undone = Engine.undo(board);
+//   assert(undone.history.length === 0);
+//   assert(undone.future.length === 2);
+//   assert(undone.layout.a1 === 'x');
+//
+//   const redone = Engine.redo(undone);
+//   assert(JSON.stringify(redone) === JSON.stringify(board));
+// }());
+// ```
+//
+// Taking moves back also shouldn't change what the AI does next. Neither
+// should starting over with the same seed. If a person makes the same moves,
+// the AI should make the same replies, at every level. This one matters
+// enough that `tools/test.js` runs it for real, in every variant, with
+// `npm test`.
+//
+// ```
+// (function testSeeds() {
+//   const play = (seed, level) => {
+//     let board = Engine.create({ level, seed });
+//     while (!board.result && board.history.length < 20) {
+//       const [start, end] = Rules.moves(board, 'x')[0].split('-');
+//       [board] = Engine.tick(board, 'x', start, end);
+//       [board] = Engine.tick(board, 'y');
+//     }
+//     return board;
+//   };
+//
+//   ['easy', 'medium', 'hard'].forEach((level) => {
+//     const board = play(1234, level);
+//     assert(board.seed === 1234);
+//     assert(play(1234, level).history.join() === board.history.join());
+//
+//     const undone = Engine.undo(board);
+//     const [start, end] = board.history[undone.history.length].split('-');
+//     const [moved] = Engine.tick(undone, 'x', start, end);
+//     const [replied] = Engine.tick(moved, 'y');
+//     assert(replied.history.join() === board.history.join());
+//   });
+// }());
+// ```
+//
+// It looks like our engine works. Before we wire it up to our renderer, let's
+// make it easy to try out new ways for the AI to play.
+//
+// ---
+//
+// Let's let anyone write an AI.
+
+const Strategies = {};
+
+// Our AI plays one way. Trying out another way shouldn't mean rewriting it, so
+// the engine asks a `strategy` for the AI's moves instead. A strategy has a
+// `name`, a `title` we can show people, and a `choose` function. It takes a
+// board, the player it's choosing for, and a `context`, and returns a move like
+// "a1-b2". Anyone can `register` a strategy. Registering one with a name
+// that's already taken replaces it, and each board picks one by name.
+//
+// Three come built in. The `random` strategy plays any legal move. The
+// `heuristic` one plays the moves our AI started with, winning when it can and
+// blocking when it has to. And `search` is the AI we've built, which looks as
+// far ahead as the board's level says to, or as far as it can in `AI.boards`
+// boards. It's the one boards use unless they say otherwise.
+
+Strategies.list = [];
+
+Strategies.register = (strategy) => {
+  if (!strategy || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(strategy.name)) {
+    throw new Error('A strategy needs a name made of lowercase letters, numbers, and dashes.');
+  }
+  if (typeof strategy.choose !== 'function') {
+    throw new Error(`The ${strategy.name} strategy needs a choose function.`);
+  }
+
+  const registered = Object.assign({ title: strategy.name }, strategy);
+  const index = Strategies.list.findIndex(other => other.name === strategy.name);
+  Strategies.list = index < 0
+    ? Strategies.list.concat([registered])
+    : Strategies.list.map((other, i) => (i === index ? registered : other));
+  return registered;
+};
+
+Strategies.find = name => Strategies.list.find(strategy => strategy.name === name)
+  || Strategies.list.find(strategy => strategy.name === 'search');
+
+Strategies.register({
+  name: 'random',
+  title: 'Random',
+  choose: (board, player, context) => AI.pick(Rules.moves(board, player), context.random),
+});
+
+Strategies.register({
+  name: 'heuristic',
+  title: 'Heuristic',
+  choose: (board, player, context) => AI.pick(AI.moves(board, player), context.random),
+});
+
+Strategies.register({
+  name: 'search',
+  title: 'Search',
+  choose: (board, player, context) => AI.move(board, player, context.level, context.random, AI.counter(AI.boards)),
+});
+
+// The context has everything a strategy might need besides the board. That's
+// the board's `level`, and the `random` dice the engine rolled for this move,
+// so a strategy that rolls them makes the same choices every time a game is
+// replayed with the same seed.
+//
+// It also has a time `budget` in milliseconds, and the `deadline` that works
+// out to. A strategy that takes a while should check `stopped` now and then,
+// and settle for the best move it's found so far once it says yes. That
+// happens when time is up, or when the move has been `cancelled` because
+// nobody needs it anymore.
+//
+// Our own `search` strategy doesn't, since how far it gets by the deadline
+// would depend on how fast the computer is. A game replayed with the same seed
+// has to get the same moves everywhere, so it counts boards instead. The
+// deadline is for strategies we didn't write, to keep them from holding up
+// the game.
+
+Strategies.budget = 2000;
+
+Strategies.context = (board, options = {}) => {
+  const budget = options.budget === undefined ? Strategies.budget : options.budget;
+  const context = {
+    level: board.level,
+    random: Engine.dice(board),
+    budget,
+    deadline: Date.now() + budget,
+    cancelled: false,
+  };
+
+  context.stopped = () => context.cancelled || Date.now() >= context.deadline;
+  return context;
+};
+
+// A strategy can break, or come up with a move that isn't legal. That
+// shouldn't end the game, so when it does, the heuristic moves for it.
+
+Strategies.fallback = (board, context) => AI.pick(AI.moves(board, board.turn), context.random);
+
+Strategies.settle = (board, move, context) => (
+  Rules.moves(board, board.turn).indexOf(move) > -1 ? move : Strategies.fallback(board, context)
+);
+
+// The engine's `ai` seat asks the board's strategy for a move and plays it
+// right away. That works for every strategy that answers straight away, which
+// includes all of the built-in ones.
+//
+// But a strategy can also return a promise of a move, if it needs to ask a
+// server or wants to take its time. The engine can't wait for one, so it
+// cancels it and leaves the board alone. Whoever's running the game has to
+// `decide` the move first. That calls the strategy, waits for its move, and
+// gives up once the budget runs out, settling for the heuristic's move
+// instead. It returns the `promise` of a move, and a way to `cancel` it.
+// Once it has a move, we keep it as the one the strategy `decided` on. The
+// next tick plays it without asking again.
+
+Strategies.decided = new Map();
+
+Strategies.key = board => `${board.seed} ${Board.toString(board)} ${board.history.join(' ')}`;
+
+Strategies.take = (board) => {
+  const key = Strategies.key(board);
+  if (Strategies.decided.has(key)) {
+    const move = Strategies.decided.get(key);
+    Strategies.decided.delete(key);
+    return move;
+  }
+
+  const context = Strategies.context(board);
+  let move;
+  try {
+    move = Strategies.find(board.strategy).choose(board, board.turn, context);
+  } catch (error) {
+    return Strategies.fallback(board, context);
+  }
+
+  if (move && typeof move.then === 'function') {
+    context.cancelled = true;
+    move.then(() => undefined, () => undefined);
+    return undefined;
+  }
+
+  return Strategies.settle(board, move, context);
+};
+
+Engine.seats.ai = Strategies.take;
+
+Strategies.decide = (board, options) => {
+  const key = Strategies.key(board);
+  const context = Strategies.context(board, options);
+  let timer;
+  let finish;
+
+  const promise = new Promise((resolve) => {
+    finish = (move) => {
+      clearTimeout(timer);
+      context.cancelled = true;
+      resolve(move);
+    };
+
+    timer = setTimeout(() => finish(Strategies.fallback(board, context)), context.budget);
+    Promise.resolve()
+      .then(() => Strategies.find(board.strategy).choose(board, board.turn, context))
+      .then(move => Strategies.settle(board, move, context), () => Strategies.fallback(board, context))
+      .then(move => !context.cancelled && finish(move));
+  }).then((move) => {
+    Strategies.decided.clear();
+    if (move) {
+      Strategies.decided.set(key, move);
+    }
+    return move;
+  });
+
+  return { promise, cancel: () => finish(undefined) };
+};
+
+// We only keep the latest decision, since a game only waits on one move at a
+// time. Here's a strategy of our own that always plays the first legal move,
+// and one that takes its time. The engine plays the first one's moves on its
+// own. The second one's moves are decided first, and a cancelled move isn't
+// played at all. And our search plays the same move no matter how much time
+// it has.
+//
+// ```
+// (function testStrategies() {
+//   const square = Engine.create({ variant: Board.variants.square, level: 'medium' });
+//   const search = Strategies.find('search');
+//   const hurried = search.choose(square, 'x', Strategies.context(square, { budget: 0 }));
+//   assert(hurried === search.choose(square, 'x', Strategies.context(square)));
+//
+//   Strategies.register({
+//     name: 'first',
+//     title: 'First move',
+//     choose: (board, player) => Rules.moves(board, player)[0],
+//   });
+//   Strategies.register({
+//     name: 'slow',
+//     choose: (board, player) => new Promise((resolve) => {
+//       setTimeout(() => resolve(Rules.moves(board, player).pop()), 50);
+//     }),
+//   });
+//
+//   const first = Engine.create({ players: Engine.modes.demo, strategy: 'first' });
+//   assert(Engine.tick(first, 'x')[0].history[0] === Rules.moves(first, 'x')[0]);
+//
+//   const slow = Engine.create({ players: Engine.modes.demo, strategy: 'slow' });
+//   assert(Engine.tick(slow, 'x')[0].history.length === 0);
+//
+//   const cancelled = Strategies.decide(slow, { budget: 1000 });
+//   cancelled.cancel();
+//   cancelled.promise.then((move) => {
+//     assert(move === undefined);
+//     return Strategies.decide(slow, { budget: 1000 }).promise;
+//   }).then((move) => {
+//     assert(move === Rules.moves(slow, 'x').pop());
+//     assert(Engine.tick(slow, 'x')[0].history[0] === move);
+//   });
+// }());
+// ```
+//
+// Now the AI can play however we like. Let's give ourselves a way to save
+// games and share them.
+//
+// ---
+//
+// Let's write games down.
+
+const Record = {};
+
+// Chess players write down their games in [Portable Game Notation][pgn]. A PGN
+// file has a few headers that say who played, when, and how it turned out.
+// Then it lists the moves, numbered in pairs. We already write our moves as
+// text like "a1-b2", so we can borrow the rest of the format.
+//
+// ```
+// [Variant "Nine Holes"]
+// [Date "2018.05.12"]
+// [X "Human"]
+// [Y "AI (hard)"]
+// [Result "0-1"]
+//
+// 1. c1-c3 a5-a4 2. b1-b3 a4-a3 3. b3-b2 c5-a4 4. b2-a2 a4-c4 5. a1-c2 b5-b2
+// 6. c2-b4 c4-c2 7. a2-a4 a3-a2 0-1
+// ```
+//
+// [pgn]: https://en.wikipedia.org/wiki/Portable_Game_Notation "Various (Wikipedia): Portable Game Notation"
+//
+// A result of "1-0" means X won, "0-1" means Y won, and "1/2-1/2" is a draw. A
+// game that isn't over yet has a result of "*".
+
+Record.results = {
+  x: '1-0',
+  y: '0-1',
+  draw: '1/2-1/2',
+};
+
+Record.name = (board, player) => (board.players[player] === 'ai' ? `AI (${board.level})` : 'Human');
+
+Record.date = date => [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+  .map(part => String(part).padStart(2, '0'))
+  .join('.');
+
+// Games that don't start from the beginning get a `Position` header too.
+//
+// Moves are numbered in pairs, so if Y moves first, the first move gets a
+// number with three dots after it. That says X's half of the pair is missing.
+// We keep lines under eighty characters so records are easy to read, and we
+// never split a move from its number.
+
+Record.stringify = (board, date = new Date()) => {
+  const headers = {
+    Variant: Rules.variant(board).name,
+    Date: Record.date(date),
+    X: Record.name(board, 'x'),
+    Y: Record.name(board, 'y'),
+    Result: Record.results[board.result] || '*',
+  };
+
+  if (board.position) {
+    headers.Position = board.position;
+  }
+
+  const offset = board.count - board.history.length;
+  const tokens = [];
+
+  board.history.forEach((move, index) => {
+    const ply = index + offset;
+    const number = Math.floor(ply / 2) + 1;
+    if (ply % 2 === 0) {
+      tokens.push(`${number}. ${move}`);
+    } else if (index === 0) {
+      tokens.push(`${number}... ${move}`);
+    } else {
+      tokens.push(move);
+    }
+  });
+  tokens.push(headers.Result);
+
+  const lines = Object.keys(headers).map(key => `[${key} "${headers[key]}"]`);
+  lines.push('');
+
+  let line = '';
+  tokens.forEach((token) => {
+    if (line && line.length + token.length >= 80) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  });
+  lines.push(line);
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Reading a record is a little more work, because people make mistakes when
+// they copy and paste things. So every error says which line it's on.
+
+Record.error = (line, message) => {
+  const error = new Error(`Line ${line}: ${message}.`);
+  error.line = line;
+  return error;
+};
+
+// We read a record in two passes. The first one splits it up into headers and
+// tokens, and remembers which line each token came from. Move numbers can be
+// on their own or stuck to the front of a move, so we drop them either way.
+
+Record.tokenize = (text) => {
+  const headers = {};
+  const tokens = [];
+
+  text.split(/\r?\n/).forEach((source, index) => {
+    const line = index + 1;
+    const trimmed = source.trim();
+    const header = trimmed.match(/^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/);
+
+    if (header) {
+      headers[header[1]] = { value: header[2].replace(/\\(.)/g, '$1'), line };
+      return;
+    }
+
+    if (trimmed.charAt(0) === '[') {
+      throw Record.error(line, `can't read the header ${trimmed}`);
+    }
+
+    trimmed.split(/\s+/).forEach((token) => {
+      const value = token.replace(/^\d+\.(\.\.)?/, '');
+      if (value) {
+        tokens.push({ value, line });
+      }
+    });
+  });
+
+  return { headers, tokens };
+};
+
+// The second pass plays the moves. Our rules already know which moves are
+// legal, so we check each one against `Rules.moves` before we make it. Whoever
+// owns the piece in the first move moves first. If the record says how the
+// game turned out, that has to match how it actually did. A game that isn't
+// over can still have a winner, since one of the players might have given up.
+// If there's a `Position` header, the game starts from there. The `Variant`
+// header has to name one of the variants we know how to play.
+
+Record.variant = ({ Variant: header }, settings) => {
+  if (!header) {
+    return settings.variant;
+  }
+
+  const key = Object.keys(Board.variants).find(name => Board.variants[name].name === header.value);
+  if (!key) {
+    throw Record.error(header.line, `we don't know how to play ${header.value}`);
+  }
+
+  return Board.variants[key];
+};
+
+Record.parse = (text, settings = {}) => {
+  const { headers, tokens } = Record.tokenize(text);
+  const results = Object.keys(Record.results).map(key => Record.results[key]);
+  const moves = [];
+  let declared = headers.Result;
+
+  tokens.forEach(({ value, line }) => {
+    if (declared && declared !== headers.Result) {
+      throw Record.error(line, `${value} comes after the result`);
+    }
+
+    if (results.concat('*').indexOf(value) > -1) {
+      declared = { value, line };
+    } else if (/^[a-z]\d+-[a-z]\d+$/.test(value)) {
+      moves.push({ move: value, line });
+    } else {
+      throw Record.error(line, `${value} isn't a move`);
+    }
+  });
+
+  const variant = Record.variant(headers, settings);
+  const start = moves.length > 0 ? moves[0].move.split('-')[0] : '';
+  const first = Board.create(variant).layout[start] === 'y' ? 'y' : 'x';
+  const position = headers.Position ? headers.Position.value : undefined;
+  let board;
+
+  try {
+    board = Engine.create(Object.assign({}, settings, { variant, first, position }));
+  } catch (e) {
+    throw Record.error(headers.Position.line, e.message.replace(/\.$/, ''));
+  }
+
+  moves.forEach(({ move, line }) => {
+    if (board.result) {
+      throw Record.error(line, `${move} comes after the game is over`);
+    }
+
+    if (Rules.moves(board, board.turn).indexOf(move) < 0) {
+      throw Record.error(line, `${move} isn't a legal move for ${board.turn.toUpperCase()}`);
+    }
+
+    board = Engine.play(board, move);
+  });
+
+  const result = Record.results[board.result];
+  if (declared && result && declared.value !== result) {
+    throw Record.error(declared.line, `the result is ${result}, not ${declared.value}`);
+  }
+
+  return {
+    headers: Object.keys(headers).reduce((all, key) => Object.assign(all, { [key]: headers[key].value }), {}),
+    board,
+  };
+};
+
+// Reading a record should give us back the same game we wrote down. So if we
+// write it down again, we should get the same record.
+//
+// ```
+// (function testRecords() {
+//   let board = Engine.create({ level: 'hard', first: 'y' });
+//   ['a5-a4', 'a1-b2', 'b5-b4', 'b1-c2'].forEach((move) => {
+//     board = Engine.play(board, move);
+//   });
+//
+//   const date = new Date(2018, 4, 12);
+//   const record = Record.stringify(board, date);
+//   const { headers, board: parsed } = Record.parse(record, Engine.settings(board));
+//
+//   assert(headers.Y === 'AI (hard)');
+//   assert(parsed.history.join() === board.history.join());
+//   assert(Record.stringify(parsed, date) === record);
+//
+//   try {
+//     Record.parse(record.replace('b1-c2', 'b1-a4'));
+//     assert(false);
+//   } catch (e) {
+//     assert(e.message === 'Line 7: b1-a4 isn\'t a legal move for X.');
+//   }
+// }());
+// ```
+//
+// ---
+//
+// Let's remember games between visits.
+
+const Save = {};
+
+// Phones are quick to reload a page, and it's easy to swipe one away by
+// accident. So we save the game in the browser's [local storage][ls] as we go.
+// A save has the settings for the next game, the settings for the current
+// game, and every move in the current game's history and future.
+//
+// Saves stick around for a long time, so each one has a `version`. If we ever
+// change what goes into a save, we bump the version and add a migration that
+// turns the old format into the new one. `Save.migrations[1]` would turn a
+// version one save into a version two save, and so on.
+//
+// [ls]: https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage "Various (MDN): Window.localStorage"
+
+Save.version = 1;
+
+Save.migrations = [];
+
+Save.stringify = (board, settings = {}) => JSON.stringify({
+  version: Save.version,
+  settings,
+  game: Object.assign(Engine.settings(board), {
+    history: board.history,
+    future: board.future,
+  }),
+});
+
+// Reading a save runs it through every migration between its version and
+// ours. A save from a newer version than we know about can't be read, and
+// neither can one with moves that don't make sense. Either way, we throw an
+// error and let whoever called us decide what to do. Like undo and redo, we
+// play every move in the game and then rewind to where the player left off.
+
+Save.parse = (text) => {
+  let data = JSON.parse(text);
+
+  if (!data || typeof data.version !== 'number' || data.version > Save.version) {
+    throw new Error('That save is from a version of the game we can\'t read.');
+  }
+
+  while (data.version < Save.version) {
+    data = Object.assign(Save.migrations[data.version](data), { version: data.version + 1 });
+  }
+
+  const { history = [], future = [] } = data.game;
+  let board = Engine.create(data.game);
+
+  history.concat(future).forEach((move) => {
+    if (board.result || Rules.moves(board, board.turn).indexOf(move) < 0) {
+      throw new Error(`${move} isn't a legal move for ${board.turn.toUpperCase()}.`);
+    }
+    board = Engine.play(board, move);
+  });
+
+  return {
+    settings: data.settings || {},
+    board: Engine.rewind(board, history.length),
+  };
+};
+
+// Saving a game and reading it back should put us right where we were,
+// including any moves we took back.
+//
+// ```
+// (function testSaves() {
+//   let board = Engine.create({ level: 'medium', first: 'y' });
+//   ['a5-a4', 'a1-b2', 'b5-b4', 'b1-c2'].forEach((move) => {
+//     board = Engine.play(board, move);
+//   });
+//   board = Engine.undo(board);
+//
+//   const { settings, board: saved } = Save.parse(Save.stringify(board, { mode: 'single' }));
+//
+//   assert(settings.mode === 'single');
+//   assert(saved.level === 'medium');
+//   assert(saved.seed === board.seed);
+//   assert(saved.history.join() === board.history.join());
+//   assert(saved.future.join() === board.future.join());
+// }());
+// ```
+//
+// ---
+//
+// Let's keep score.
+
+const Stats = {};
+
+// Every finished game gets written down with its result, who was playing, how
+// hard the AI was, how many moves it took, how long it took in seconds, the
+// opening move, and the variant. When one person is playing the AI, we also
+// write down their `outcome`, so we can keep a tally of wins, losses, and
+// draws at each level. Along with the tally, we count how many games in a row
+// they've won, and the best they've ever done.
+//
+// Like saved games, our stats have a `version` and a list of migrations, so
+// we can change what goes into them without losing anyone's record.
+
+Stats.version = 1;
+
+Stats.migrations = [];
+
+Stats.create = () => ({
+  version: Stats.version,
+  games: [],
+  levels: {},
+});
+
+Stats.game = (board, started, ended = new Date()) => {
+  const humans = Engine.humans(board);
+  const game = {
+    date: ended.toISOString(),
+    result: board.result,
+    mode: Engine.mode(board),
+    level: board.level,
+    moves: board.history.length,
+    duration: Math.round((ended - started) / 1000),
+    opening: board.history[0] || '',
+    variant: Rules.variant(board).name,
+  };
+
+  if (game.mode === 'single') {
+    const human = humans[0];
+    game.outcome = 'loss';
+    if (board.result === 'draw') {
+      game.outcome = 'draw';
+    } else if (board.result === human) {
+      game.outcome = 'win';
+    }
+  }
+
+  return game;
+};
+
+Stats.add = (stats, game) => {
+  const levels = Object.assign({}, stats.levels);
+
+  if (game.outcome) {
+    const tally = Object.assign({
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      streak: 0,
+      best: 0,
+    }, levels[game.level]);
+
+    tally[{ win: 'wins', loss: 'losses', draw: 'draws' }[game.outcome]] += 1;
+    tally.streak = game.outcome === 'win' ? tally.streak + 1 : 0;
+    tally.best = Math.max(tally.best, tally.streak);
+    levels[game.level] = tally;
+  }
+
+  return Object.assign({}, stats, {
+    games: stats.games.concat([game]),
+    levels,
+  });
+};
+
+Stats.parse = (text) => {
+  let data = JSON.parse(text);
+
+  if (!data || typeof data.version !== 'number' || data.version > Stats.version) {
+    throw new Error('Those stats are from a version of the game we can\'t read.');
+  }
+
+  while (data.version < Stats.version) {
+    data = Object.assign(Stats.migrations[data.version](data), { version: data.version + 1 });
+  }
+
+  return Object.assign(Stats.create(), data);
+};
+
+// People like to make their own charts, so we can export the stats. JSON has
+// everything, tallies included. CSV only has the games, one per line, which is
+// what a spreadsheet wants. Anything a game doesn't have is left blank, but a
+// game that ended before its first move still took zero moves.
+
+Stats.columns = ['date', 'result', 'outcome', 'mode', 'level', 'moves', 'duration', 'opening', 'variant'];
+
+Stats.json = stats => `${JSON.stringify(stats, null, 2)}\n`;
+
+Stats.csv = stats => [Stats.columns]
+  .concat(stats.games.map(game => Stats.columns.map(column => (game[column] == null ? '' : game[column]))))
+  .map(row => `${row.join(',')}\n`)
+  .join('');
+
+// Winning twice and then losing should leave a streak of zero, but remember
+// that the best streak was two.
+//
+// ```
+// (function testStats() {
+//   const started = new Date(2018, 4, 12, 12, 0, 0);
+//   const ended = new Date(2018, 4, 12, 12, 1, 30);
+//   let stats = Stats.create();
+//
+//   ['x', 'x', 'y'].forEach((result) => {
+//     const board = Object.assign(Engine.create({ level: 'hard' }), {
+//       history: ['a1-b2', 'a5-a4'],
+//       result,
+//     });
+//     stats = Stats.add(stats, Stats.game(board, started, ended));
+//   });
+//
+//   assert(stats.levels.hard.wins === 2);
+//   assert(stats.levels.hard.losses === 1);
+//   assert(stats.levels.hard.streak === 0);
+//   assert(stats.levels.hard.best === 2);
+//   assert(stats.games[0].duration === 90);
+//   assert(Stats.csv(stats).split('\n')[1].endsWith(',win,single,hard,2,90,a1-b2,Nine Holes'));
+// }());
+// ```
+//
+// ---
+//
+// Let's play with people somewhere else.
+
+const Remote = {};
+
+// Playing someone online takes a server. The one in `tools/server.js` knows
+// our rules, so it decides which moves count. Each game gets a `room` with a
+// short code, and whoever has the code can take the empty seat. Everybody
+// talks in messages of [JSON][], over a [WebSocket][ws].
+//
+// ```
+// { "type": "create", "variant": "classic", "first": "x", "side": "x" }
+// { "type": "join", "code": "HJ4KQ" }
+// { "type": "rejoin", "code": "HJ4KQ", "token": "..." }
+// { "type": "move", "move": "a1-b3", "count": 0 }
+// ```
+//
+// Those are the messages we send. To start a game, we `create` a room and say
+// which variant we want, who moves first, and which `side` we'd like. Our
+// opponent can `join` with the room's code. Every move says how many moves
+// came before it, its `count`, so the server can tell if we've missed any.
+//
+// The server answers with a `room` message whenever we take a seat. It has the
+// room's code, our side, the variant, who moved first, every move made so
+// far, and who's connected. It also has a secret `token`. If we lose our
+// connection, we can `rejoin` with it and get our seat back. After that, the
+// server sends every move to both players as it's made, tells us when someone
+// comes and goes, and sends an `error` when it won't do what we asked.
+//
+// [JSON]: https://www.json.org/ "Douglas Crockford: Introducing JSON"
+// [ws]: https://developer.mozilla.org/en-US/docs/Web/API/WebSockets_API "Various (MDN): The WebSocket API"
+
+Remote.connections = [];
+
+Remote.delay = 1000;
+
+Remote.patience = 16000;
+
+// Our end of the conversation is a `remote`. It needs a way to `open` a
+// socket, and a `listener` to tell about every message. Browsers have a
+// `WebSocket` we can open, and Node.js scripts can use the tiny one in
+// `tools/socket.js`. Either way, the remote doesn't care.
+//
+// Sockets drop, especially on phones. When ours does, we wait a second and
+// open a new one, then twice as long if that doesn't work, up to a limit. As
+// soon as we're back, we `rejoin` our room. Anything we tried to send in the
+// meantime waits in a `queue` until we can.
+
+Remote.create = (open, listener = () => {}) => {
+  const remote = {
+    open,
+    listener,
+    queue: [],
+    history: [],
+    delay: Remote.delay,
+  };
+
+  Remote.connections.push(remote);
+  Remote.connect(remote);
+  return remote;
+};
+
+Remote.connect = (remote) => {
+  const socket = remote.open();
+  Object.assign(remote, { socket });
+
+  socket.onopen = () => {
+    Object.assign(remote, { delay: Remote.delay });
+    if (remote.token) {
+      socket.send(JSON.stringify({ type: 'rejoin', code: remote.code, token: remote.token }));
+    }
+    remote.queue.splice(0).forEach(message => socket.send(JSON.stringify(message)));
+  };
+
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+    Remote.receive(remote, message);
+  };
+
+  socket.onclose = () => {
+    if (remote.socket !== socket || remote.closed) {
+      return;
+    }
+
+    remote.listener(remote, { type: 'disconnected' });
+    Object.assign(remote, {
+      timer: setTimeout(() => Remote.connect(remote), remote.delay),
+      delay: Math.min(remote.delay * 2, Remote.patience),
+    });
+  };
+};
+
+Remote.send = (remote, message) => {
+  if (remote.socket && remote.socket.readyState === 1) {
+    remote.socket.send(JSON.stringify(message));
+  } else {
+    remote.queue.push(message);
+  }
+};
+
+Remote.close = (remote) => {
+  Object.assign(remote, { closed: true });
+  clearTimeout(remote.timer);
+  Remote.connections = Remote.connections.filter(other => other !== remote);
+  if (remote.socket) {
+    remote.socket.close();
+  }
+};
+
+// The server's word on what's happened in a room is final. So when it tells
+// us about a room, we take its list of moves as our own, and when it tells us
+// about a move, we add it to the list. If a move's `count` doesn't match
+// how many we've got, we missed something, and we ask for the whole room
+// again by rejoining it.
+
+Remote.receive = (remote, message) => {
+  if (message.type === 'room') {
+    Object.assign(remote, {
+      code: message.code,
+      side: message.side,
+      token: message.token,
+      variant: message.variant,
+      first: message.first,
+      history: message.history.slice(),
+    });
+  } else if (message.type === 'move' && message.count === remote.history.length) {
+    remote.history.push(message.move);
+  } else if (message.type === 'move' && message.count > remote.history.length) {
+    Remote.send(remote, { type: 'rejoin', code: remote.code, token: remote.token });
+    return;
+  }
+
+  remote.listener(remote, message);
+};
+
+// Once we're in a room, we can set up a board for it. We play our side, and
+// the other side is `remote`. Then we make every move the server knows about.
+
+Remote.board = (remote) => {
+  const seats = remote.side === 'x' ? Engine.modes.online : { x: 'remote', y: 'human' };
+  let board = Engine.create({
+    variant: Board.variants[remote.variant],
+    first: remote.first,
+    players: seats,
+    room: remote.code,
+  });
+
+  remote.history.forEach((move) => {
+    board = Engine.play(board, move);
+  });
+
+  return board;
+};
+
+// That gives us our transport. When it's the `remote` player's turn, the
+// engine asks for their seat's move, and we hand it the next move in the
+// server's list, if there is one. Each room has its own remote for each side,
+// so two players can even share a script. When it's our turn, we make our move
+// on our own board and `play` it, which sends it to the server. The server
+// sends it back to both of us, and that's when it's in the list for real.
+
+Remote.take = (board) => {
+  const remote = Remote.connections.find(other => other.code === board.room && other.side !== board.turn);
+  return board.room && remote ? remote.history[board.history.length] : undefined;
+};
+
+Engine.seats.remote = Remote.take;
+
+Remote.play = (remote, board) => {
+  const count = remote.history.length;
+  if (board.history.length === count + 1) {
+    Remote.send(remote, { type: 'move', move: board.history[count], count });
+  }
+};
+
+// Here's how two people might play each other from the same Node.js script,
+// with a server of our own running on localhost. There's no `WebSocket` in
+// Node.js, so both of them connect with the one in `tools/socket.js`. Both of
+// them see the same moves. `npm test` plays a longer game like this one, with
+// an illegal move and a player who drops off and comes back.
+//
+// ```
+// (function testRemote() {
+//   const { connect } = require('../tools/socket');
+//   const { serve } = require('../tools/server');
+//   const server = serve();
+//
+//   server.listen(0, () => {
+//     const url = `ws://localhost:${server.address().port}`;
+//     const boards = {};
+//     const listener = (remote, message) => {
+//       if (message.type === 'room') {
+//         boards[remote.side] = Remote.board(remote);
+//       }
+//       if (message.type === 'move') {
+//         [boards[remote.side]] = Engine.tick(boards[remote.side], remote.side);
+//       }
+//     };
+//
+//     const x = Remote.create(() => connect(url), (remote, message) => {
+//       listener(remote, message);
+//       if (message.type === 'room' && message.history.length === 0) {
+//         Remote.send(Remote.create(() => connect(url), listener), { type: 'join', code: remote.code });
+//       }
+//     });
+//     Remote.send(x, { type: 'create', variant: 'classic', first: 'x', side: 'x' });
+//
+//     setTimeout(() => {
+//       [boards.x] = Engine.tick(boards.x, 'x', 'a1', 'a2');
+//       Remote.play(x, boards.x);
+//     }, 500);
+//
+//     setTimeout(() => {
+//       assert(boards.x.history.join() === 'a1-a2');
+//       assert(boards.y.history.join() === 'a1-a2');
+//       Remote.connections.forEach(Remote.close);
+//       server.close();
+//     }, 1000);
+//   });
+// }());
+// ```
+//
+// ---
+//
+// Let's play without a server at all.
+
+const Mail = {};
+
+// People have played chess by [correspondence][cc] for centuries, sending
+// moves back and forth through the post. We can do the same thing with links.
+// After every move, we write the whole game down as a short `token`, and
+// whoever moved sends it to their opponent however they like. Their opponent
+// opens it, makes their move, and sends a new token back.
+//
+// A token is a handful of fields with dots between them. There's the token's
+// version, the variant's name, the game's `seed`, who moved first, the
+// position the game started from, if it didn't start from the beginning, every
+// move in the game, and the position those moves lead to. Positions and moves
+// have spaces in them, and those don't look good in a link, so we swap them
+// for underscores.
+//
+// ```
+// 1.classic.k3x0pz.x..a1-a2_a5-a4.1yy/y2/3/x2/1xx_x_0_2.1yt3uwm
+// ```
+//
+// The last field is a [checksum][], a number worked out from the rest of the
+// token. If a single character gets lost or changed on the way, the checksum
+// won't match anymore, and we know not to trust the token.
+//
+// [cc]: https://en.wikipedia.org/wiki/Correspondence_chess "Various (Wikipedia): Correspondence chess"
+// [checksum]: https://en.wikipedia.org/wiki/Fowler%E2%80%93Noll%E2%80%93Vo_hash_function "Various (Wikipedia): Fowler-Noll-Vo hash function"
+
+Mail.version = 1;
+
+Mail.checksum = (text) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+};
+
+Mail.stringify = (board) => {
+  const fields = [
+    Mail.version,
+    Object.keys(Board.variants).find(key => Board.variants[key].name === Rules.variant(board).name),
+    board.seed.toString(36),
+    board.first,
+    (board.position || '').replace(/ /g, '_'),
+    board.history.join('_'),
+    Board.toString(board).replace(/ /g, '_'),
+  ].join('.');
+
+  return `${fields}.${Mail.checksum(fields)}`;
+};
+
+// Links get mangled, cut short, and pasted into the wrong place, and people
+// sometimes edit them on purpose. So reading a token checks everything. The
+// checksum has to match. Every move has to be one `Rules.moves` allows, since
+// a checksum is easy to work out again after changing a move. And playing the
+// moves has to lead to the position the token says they do.
+//
+// Tokens can come out of order too. If we have the game the token is for,
+// the `previous` board, the token has to be for the same game, with the same
+// seed and the same moves we've already seen, and exactly one new one. A token
+// we've seen before is out of date, and a token with more than one new move
+// means we missed one.
+//
+// Every problem throws an error that says what went wrong, so we can pass it
+// along to whoever opened the token. Tokens usually arrive in links, so we can
+// `find` one in a link, even after a browser has escaped its slashes.
+
+Mail.find = (text) => {
+  const match = String(text).trim().match(/(?:^|[?&#]letter=)(\d+\.[^\s&#]+)(?:$|[&#])/);
+  if (!match) {
+    return undefined;
+  }
+
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (e) {
+    return match[1];
+  }
+};
+
+Mail.parse = (token, previous, settings = {}) => {
+  const fields = String(token).trim().split('.');
+  const checksum = fields.pop();
+
+  if (fields.length !== 7 || Number(fields[0]) !== Mail.version) {
+    throw new Error('That isn\'t a game token we can read.');
+  }
+
+  if (Mail.checksum(fields.join('.')) !== checksum) {
+    throw new Error('That token has been changed or cut short. Ask for a new one.');
+  }
+
+  const [, key, seed, first, start, moves, position] = fields;
+  if (!Object.prototype.hasOwnProperty.call(Board.variants, key)) {
+    throw new Error(`We don't know how to play ${key}.`);
+  }
+
+  let board = Engine.create(Object.assign({}, settings, {
+    variant: Board.variants[key],
+    seed: parseInt(seed, 36),
+    first,
+    position: start ? start.replace(/_/g, ' ') : undefined,
+  }));
+
+  const history = moves ? moves.split('_') : [];
+  history.forEach((move) => {
+    if (board.result || Rules.moves(board, board.turn).indexOf(move) < 0) {
+      throw new Error(`${move} isn't a legal move for ${board.turn.toUpperCase()}. That token has been tampered with.`);
+    }
+    board = Engine.play(board, move);
+  });
+
+  if (Board.toString(board).replace(/ /g, '_') !== position) {
+    throw new Error('That token\'s board doesn\'t match its moves. It has been tampered with.');
+  }
+
+  if (previous) {
+    const seen = previous.history;
+    const shared = Math.min(seen.length, history.length);
+    if (previous.seed !== board.seed || seen.slice(0, shared).some((move, index) => history[index] !== move)) {
+      throw new Error('That token is for a different game.');
+    }
+
+    if (history.length <= seen.length) {
+      throw new Error('That token is out of date. You\'ve already seen every move in it.');
+    }
+
+    if (history.length > seen.length + 1) {
+      throw new Error('That token skips a move you haven\'t seen. Ask for the one before it.');
+    }
+  }
+
+  return board;
+};
+
+// Whoever opens a token plays the side whose turn it is, and their opponent
+// is on the other end of the `mail`. When it's the mail's turn, there's
+// nothing to do but send the token and wait, so the mail never has a move of
+// its own.
+
+Engine.seats.mail = () => undefined;
+
+// Here's a game passed back and forth. Changing a move gets caught, and so
+// does opening the same token twice.
+//
+// ```
+// (function testMail() {
+//   let x = Engine.create({ players: Engine.modes.correspondence });
+//   x = Engine.play(x, 'a1-a2');
+//   const first = Mail.stringify(x);
+//
+//   let y = Mail.parse(first, undefined, { players: { x: 'mail', y: 'human' } });
+//   assert(y.turn === 'y');
+//   y = Engine.play(y, 'a5-a4');
+//   const reply = Mail.stringify(y);
+//
+//   x = Mail.parse(reply, x, Engine.settings(x));
+//   assert(x.history.join() === 'a1-a2,a5-a4');
+//
+//   try {
+//     Mail.parse(reply.replace('a5-a4', 'a5-a3'), x);
+//     assert(false);
+//   } catch (e) {
+//     assert(e.message === 'That token has been changed or cut short. Ask for a new one.');
+//   }
+//
+//   try {
+//     Mail.parse(reply, x);
+//     assert(false);
+//   } catch (e) {
+//     assert(e.message === 'That token is out of date. You\'ve already seen every move in it.');
+//   }
+// }());
+// ```
+//
+// ---
+//
+// Let's learn from our games.
+
+const Analysis = {};
+
+// Once a game is over, it's nice to know where it was won and lost. Our AI
+// already knows how to tell. For every position in the game, we ask who wins
+// with perfect play from there, and how many moves it takes. Classic Nine
+// Holes has a tablebase, so we can look that up.
+//
+// Other variants have to search, and on the bigger boards, searching every
+// position all the way to the end would take far too long. So we deepen our
+// search one move at a time, up to a `depth` of twice as far as the AI looks
+// on hard, and stop early when we run out of our `budget` of milliseconds for
+// the position. Any forced win we find is real, and it's the fastest one, since
+// a faster one would have turned up at a shallower depth. But when we stop
+// without finding one, all we know is that there isn't one within the `depth`
+// we reached. We call that a draw, and mark it as `limited`.
+//
+// An `evaluation` is from the point of view of the player whose turn it is,
+// just like the scores in `AI.search`. A game that's already over is a loss
+// in zero moves for whoever's turn it would be, unless it's a draw.
+
+Analysis.depth = AI.levels.hard * 2;
+
+Analysis.budget = 1000;
+
+Analysis.stopwatch = () => AI.stopwatch(Analysis.budget);
+
+Analysis.evaluate = (game, player, stopped) => {
+  const board = {
+    variant: game.variant,
+    files: game.files,
+    ranks: game.ranks,
+    layout: game.layout,
+  };
+
+  if (Rules.winner(board)) {
+    return { result: 'loss', distance: 0 };
+  }
+
+  if (game.result === 'draw') {
+    return { result: 'draw' };
+  }
+
+  const found = AI.lookup(board, player);
+  if (found) {
+    return found;
+  }
+
+  const table = new Map();
+  let evaluation = { result: 'draw', limited: true, depth: 0 };
+
+  for (let depth = 1; depth <= Analysis.depth; depth += 1) {
+    let score;
+    try {
+      score = AI.search(board, player, depth, -Infinity, Infinity, table, depth > 1 ? stopped : undefined);
+    } catch (e) {
+      if (e !== AI.interrupted) {
+        throw e;
+      }
+      return evaluation;
+    }
+
+    if (score >= AI.WIN) {
+      return { result: 'win', distance: (AI.WIN + depth) - score };
+    }
+    if (score <= -AI.WIN) {
+      return { result: 'loss', distance: (AI.WIN + depth) + score };
+    }
+    evaluation = { result: 'draw', limited: true, depth };
+  }
+
+  return evaluation;
+};
+
+// To compare evaluations, we turn them back into scores. Winning sooner beats
+// winning later, any win beats a draw, and any draw beats a loss. Losing later
+// beats losing sooner, since the other player might still go wrong.
+
+Analysis.score = ({ result, distance }) => {
+  if (result === 'win') {
+    return AI.WIN - distance;
+  }
+  if (result === 'loss') {
+    return distance - AI.WIN;
+  }
+  return 0;
+};
+
+// Every move gets a label. A move that keeps the best result the player could
+// get, as fast as they could get it, is the `best` move. One that still gets
+// the same result, but slower, is an `inaccuracy`. One that throws away a win
+// or a draw is a `blunder`. For anything less than best, we say why, and which
+// move our AI would have played instead. When a label rests on an evaluation
+// that's only `limited`, we say how far ahead we looked, since a deeper search
+// might see it differently.
+//
+// Distances in our tablebase count every move either player makes. People
+// count wins the way chess players count mates, in their own moves, so that's
+// how we say them.
+
+Analysis.moves = distance => Math.ceil(distance / 2);
+
+Analysis.label = (before, after) => {
+  if (Analysis.score(after) === Analysis.score(before)) {
+    return 'best';
+  }
+
+  return after.result === before.result ? 'inaccuracy' : 'blunder';
+};
+
+Analysis.note = (entry) => {
+  const { before, after, label } = entry;
+  const moves = count => `${count} move${count === 1 ? '' : 's'}`;
+  const depths = [before, after].filter(evaluation => evaluation.limited).map(evaluation => evaluation.depth);
+  const limited = depths.length > 0 ? ` We only looked ${moves(Analysis.moves(Math.min(...depths)))} ahead.` : '';
+  let note = '';
+
+  if (label === 'best') {
+    note = '';
+  } else if (after.result === 'loss') {
+    const because = label === 'blunder' ? 'This allowed' : 'This sped up';
+    note = `${because} a forced win in ${moves(Analysis.moves(after.distance))}.`;
+  } else if (before.result === 'win' && after.result === 'draw') {
+    note = `This let a forced win in ${moves(Analysis.moves(before.distance))} slip away.`;
+  } else {
+    const slower = moves(Analysis.moves(after.distance));
+    note = `This still wins, but in ${slower} instead of ${moves(Analysis.moves(before.distance))}.`;
+  }
+
+  return `${note}${limited}`.trim();
+};
+
+// Analyzing a game replays it from the start, evaluating every position along
+// the way. Each move's evaluation `before` is the position it was played in,
+// and its evaluation `after` is the position it led to, turned around to the
+// same player's point of view. We also keep a `value` for every position from
+// X's point of view, between 1 for a win and -1 for a loss, so the whole game
+// can be drawn as a graph. Quicker wins are a little closer to 1.
+
+Analysis.value = (evaluation, player) => {
+  const sign = player === 'x' ? 1 : -1;
+  if (evaluation.result === 'draw') {
+    return 0;
+  }
+
+  const value = 1 - (evaluation.distance / (2 * AI.WIN));
+  return evaluation.result === 'win' ? sign * value : -sign * value;
+};
+
+Analysis.flip = evaluation => Object.assign({}, evaluation, {
+  result: { win: 'loss', loss: 'win', draw: 'draw' }[evaluation.result],
+  distance: evaluation.distance === undefined ? undefined : evaluation.distance + 1,
+});
+
+// Flipping an evaluation over adds a move, since the other player's result is
+// one move further away from the player who's about to move. A loss in zero
+// moves for the player to move was a win in one for the player who just did.
+//
+// The better move comes from the tablebase when there is one. Otherwise we
+// deepen a search for it, with a budget of its own. It only has to look as far
+// ahead as the evaluation it's standing up for. A forced win or loss is that
+// many moves away, and a draw we can't see past is as deep as we looked.
+
+Analysis.better = (position, player, before, stopped) => {
+  const board = {
+    variant: position.variant,
+    files: position.files,
+    ranks: position.ranks,
+    layout: position.layout,
+  };
+
+  const [perfect] = AI.perfect(board, player);
+  const depth = before.distance || before.depth || Analysis.depth;
+  return perfect || AI.deepen(board, player, depth, stopped).moves[0];
+};
+
+// Every position can take up to a whole budget to evaluate, and a long game
+// has a lot of them. Doing them all at once would leave a browser frozen for
+// as long as that takes. So analyzing works a position at a time. We `start`
+// with the first position of the game, and every call to `next` evaluates one
+// more, giving back a new analysis with its entry and value added. Whoever's
+// analyzing can wait between positions, and show what's done so far. Once the
+// analysis is `done`, there's a value for every position.
+
+Analysis.start = board => ({
+  board,
+  position: Engine.create(Engine.settings(board)),
+  entries: [],
+  values: [],
+});
+
+Analysis.done = analysis => analysis.values.length > analysis.board.history.length;
+
+Analysis.next = (analysis) => {
+  const {
+    position,
+    evaluation,
+    entries,
+    values,
+  } = analysis;
+  const stopped = Analysis.stopwatch();
+
+  if (values.length === 0) {
+    const first = Analysis.evaluate(position, position.turn, stopped);
+    return Object.assign({}, analysis, { evaluation: first, values: [Analysis.value(first, position.turn)] });
+  }
+
+  const move = analysis.board.history[entries.length];
+  const player = position.turn;
+  const next = Engine.play(position, move);
+  const reply = Analysis.evaluate(next, next.turn, stopped);
+  const entry = {
+    move,
+    player,
+    human: position.players[player] === 'human',
+    before: evaluation,
+    after: Analysis.flip(reply),
+  };
+
+  entry.label = Analysis.label(entry.before, entry.after);
+  if (entry.label !== 'best') {
+    entry.better = Analysis.better(position, player, evaluation, Analysis.stopwatch());
+  }
+  entry.note = Analysis.note(entry);
+
+  return Object.assign({}, analysis, {
+    position: next,
+    evaluation: reply,
+    entries: entries.concat([entry]),
+    values: values.concat([Analysis.value(reply, next.turn)]),
+  });
+};
+
+// When there's no hurry, like in a terminal, we can analyze a whole `game` in
+// one go.
+
+Analysis.game = (board) => {
+  let analysis = Analysis.start(board);
+  while (!Analysis.done(analysis)) {
+    analysis = Analysis.next(analysis);
+  }
+  return analysis;
+};
+
+// Here's a game where Y walks into a fork. Moving a3-a4 lets X play c1-b2 and
+// threaten two lines at once. X doesn't see it, and plays c1-c2, which still
+// wins, just not as quickly.
+//
+// ```
+// (function testAnalysis() {
+//   let board = Engine.create({ players: Engine.modes.hotseat });
+//   ['a1-a2', 'a5-a3', 'b1-b3', 'a3-a4', 'c1-c2'].forEach((move) => {
+//     board = Engine.play(board, move);
+//   });
+//
+//   const { entries, values } = Analysis.game(board);
+//   const [fork, slow] = entries.slice(-2);
+//
+//   assert(values.length === entries.length + 1);
+//   assert(fork.label === 'blunder');
+//   assert(fork.note === 'This allowed a forced win in 2 moves.');
+//   assert(slow.label === 'inaccuracy');
+//   assert(slow.better === 'c1-b2');
+// }());
+// ```
+//
+// ---
+//
+// Let's teach the game.
+
+const Tutorial = {};
+
+// Three short lines of rules don't say much about how Nine Holes is played.
+// So we have a tutorial, a few `lessons` that each start from a position and
+// walk through one idea. A lesson is a list of `steps`. Each one has `text` to
+// read, the `moves` it lets the player make, and a `hint` for when they try
+// something else. Steps that don't list any `moves` let the player make any
+// legal move. The tutor `reply`s to every step but the last, and once that's
+// played, the lesson's `done`.
+//
+// The player is always X, and always moves first, so step one is the first
+// move in the game, step two is the third, and so on.
+
+Tutorial.lessons = [
+  {
+    name: 'picking',
+    title: 'Picking',
+    position: 'yyy/3/3/3/xxx x 0 1',
+    steps: [
+      {
+        text: 'Your pieces start in your home row, along the bottom, and your opponent\'s start along the top. Pick '
+          + 'up your piece on b1, then pick the empty space at b2 to move it there.',
+        moves: ['b1-b2'],
+        reply: 'b5-b4',
+        hint: 'Pick b1 first, then b2.',
+      },
+      {
+        text: 'Picked the wrong piece? Pick another one of yours, and that one\'s picked instead. Move c1 to c2.',
+        moves: ['c1-c2'],
+        hint: 'Pick c1 first, then c2.',
+      },
+    ],
+    done: 'That\'s all there is to picking. Pick one of your pieces, then pick where it goes.',
+  },
+  {
+    name: 'dropping',
+    title: 'Dropping',
+    position: 'y1y/1y1/3/1x1/x1x x 0 2',
+    steps: [
+      {
+        text: 'A piece can leave its home row for any empty space on the board, not just the one in front of it. '
+          + 'Drop a1 on c3.',
+        moves: ['a1-c3'],
+        reply: 'a5-a3',
+        hint: 'Pick a1, then c3.',
+      },
+      {
+        text: 'Home rows are only for starting. Pieces leave them and never go back, so nothing can drop into '
+          + 'either one. Pieces on the board can drop onto any empty space on the board, though. '
+          + 'Move b2 somewhere new.',
+        moves: ['b2-a2', 'b2-c2', 'b2-b3', 'b2-a4', 'b2-c4'],
+        hint: 'Pick b2, then any empty space in the middle three rows.',
+      },
+    ],
+    done: 'Pieces only ever enter the board from a home row, and they never go back.',
+  },
+  {
+    name: 'blocking',
+    title: 'Blocking',
+    position: 'y2/yy1/3/x2/1xx x 0 3',
+    steps: [
+      {
+        text: 'Your opponent has a4 and b4, two in a row. If they get c4, they win. Block them by moving any of '
+          + 'your pieces to c4.',
+        moves: ['a2-c4', 'b1-c4', 'c1-c4'],
+        hint: 'Get a piece to c4 before they do.',
+      },
+    ],
+    done: 'Blocked! Before you make plans of your own, check whether your opponent is one move from a line.',
+  },
+  {
+    name: 'forking',
+    title: 'Forking',
+    position: '1yy/y2/1x1/x2/2x x 1 3',
+    steps: [
+      {
+        text: 'A fork is a move that makes two lines at once that only need one more piece. Your opponent can only '
+          + 'block one of them. Move c1 to b2, so you threaten both c2 and b4.',
+        moves: ['c1-b2'],
+        reply: 'b5-b4',
+        hint: 'Pick c1, then b2.',
+      },
+      {
+        text: 'They blocked b4, but c2 is still open. Move b3 to c2 to finish the row.',
+        moves: ['b3-c2'],
+        hint: 'Pick b3, then c2.',
+      },
+    ],
+    done: 'That\'s a fork. Setting up two threats at once is how most games of Nine Holes are won.',
+  },
+];
+
+// A lesson is a game like any other, starting from its position. Its name
+// goes on the board as its `lesson`, so undo, redo, and saves all know which
+// lesson they're in.
+
+Tutorial.find = name => Tutorial.lessons.find(lesson => lesson.name === name);
+
+Tutorial.create = (name, settings = {}) => {
+  const lesson = Tutorial.find(name);
+  return Engine.create({
+    position: lesson.position,
+    players: { x: 'human', y: 'tutor' },
+    lesson: name,
+    flip: settings.flip,
+    seed: settings.seed,
+  });
+};
+
+Tutorial.step = (board) => {
+  const lesson = Tutorial.find(board.lesson);
+  if (!lesson || board.history.length >= (2 * lesson.steps.length) - 1) {
+    return undefined;
+  }
+
+  return lesson.steps[Math.floor(board.history.length / 2)];
+};
+
+// The moves a step lets the player make are the legal ones it lists. We keep
+// them in the same shape as `Rules.moves` and `Rules.targets`, so anything
+// that shows the player where they can go works the same way in a lesson.
+//
+// The tutor is one more kind of player with a seat in the engine. On its
+// turn, it makes the reply to the step the player just finished.
+
+Tutorial.moves = (board, player) => {
+  const step = Tutorial.step(board);
+  if (!step) {
+    return [];
+  }
+
+  return Rules.moves(board, player).filter(move => !step.moves || step.moves.indexOf(move) > -1);
+};
+
+Tutorial.targets = (board, player, start) => Tutorial.moves(board, player)
+  .filter(move => move.split('-')[0] === start)
+  .map(move => move.split('-')[1]);
+
+Tutorial.reply = (board) => {
+  const step = Tutorial.step(board);
+  if (!step || board.players[board.turn] !== 'tutor') {
+    return undefined;
+  }
+
+  return Rules.moves(board, board.turn).indexOf(step.reply) > -1 ? step.reply : undefined;
+};
+
+Engine.seats.tutor = Tutorial.reply;
+
+// When a player picks something they can't, a lesson says why. Most of the
+// time that's the step's hint. But picking a piece that isn't theirs, or
+// trying to move into a home row, are mistakes everyone makes while they're
+// learning, so those get their own explanations. Picking a piece, or picking
+// a different one of their own, is fine.
+
+Tutorial.explain = (board, start, end) => {
+  if (!Tutorial.find(board.lesson)) {
+    return undefined;
+  }
+
+  if (!Tutorial.step(board)) {
+    return 'That\'s the end of this lesson.';
+  }
+
+  if (board.players[board.turn] !== 'human') {
+    return undefined;
+  }
+
+  const mine = space => board.layout[space] === board.turn;
+  if (!mine(start)) {
+    return 'Pick one of your own pieces first.';
+  }
+
+  if (!end || mine(end)) {
+    return undefined;
+  }
+
+  const move = `${start}-${end}`;
+  const legal = Rules.moves(board, board.turn).indexOf(move) > -1;
+  if (board.layout[end]) {
+    return 'That space is taken. Pieces can only move to empty spaces.';
+  }
+
+  if (!legal && Rules.starting(board).indexOf(end) > -1) {
+    return 'Home rows are only for starting. Pieces leave them, but nothing can move into one.';
+  }
+
+  if (!legal) {
+    return `${move} isn't a legal move.`;
+  }
+
+  return Tutorial.moves(board, board.turn).indexOf(move) > -1 ? undefined : Tutorial.step(board).hint;
+};
+
+// Every lesson should play through from start to finish, with the tutor's
+// replies legal after any move a step allows.
+//
+// ```
+// (function testLessons() {
+//   Tutorial.lessons.forEach((lesson) => {
+//     let board = Tutorial.create(lesson.name);
+//
+//     while (Tutorial.step(board)) {
+//       const moves = Tutorial.moves(board, 'x');
+//       assert(moves.length > 0);
+//       moves.forEach((move) => {
+//         const [next] = Engine.tick(Engine.play(board, move), 'y');
+//         assert(!Tutorial.step(next) || next.turn === 'x');
+//       });
+//       board = Engine.play(board, moves[0]);
+//       [board] = Engine.tick(board, 'y');
+//     }
+//   });
+//
+//   const board = Tutorial.create('dropping');
+//   assert(Tutorial.explain(board, 'b2', 'b1').indexOf('Home rows') === 0);
+//   assert(Tutorial.explain(board, 'a1', 'b3') === 'Pick a1, then c3.');
+//   assert(Tutorial.explain(board, 'a1', 'c3') === undefined);
+// }());
+// ```
+//
+// ---
+//
+// Let's make puzzles.
+
+const Puzzles = {};
+
+// Puzzles start from a position where the player to move can force a win.
+// The goal is to find it, and to `win` in as few moves as it takes. Our
+// puzzles live in `js/puzzles.js`, which hands them to `Puzzles.learn` the same
+// way the tablebase hands itself to `AI.learn`.
+//
+// Anyone can write a puzzle, so every one is checked against a `schema`. It's
+// a [JSON Schema][schema], so other tools can check our puzzles too, but we
+// only use a little of it, and that's all `Puzzles.conform` knows how to check.
+// Each puzzle needs an `id` to find it by, a `title`, a `position`, and how
+// many moves it takes to `win`. Puzzles are for classic Nine Holes unless they
+// give a `variant`.
+//
+// [schema]: https://json-schema.org/ "JSON Schema"
+
+Puzzles.list = [];
+
+Puzzles.learn = (list) => {
+  Puzzles.list = list;
+};
+
+Puzzles.schema = {
+  type: 'object',
+  required: ['id', 'title', 'position', 'win'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' },
+    title: { type: 'string', minLength: 1 },
+    variant: { type: 'string', enum: Object.keys(Board.variants) },
+    position: { type: 'string', minLength: 1 },
+    win: { type: 'integer', minimum: 1, maximum: 5 },
+  },
+};
+
+Puzzles.types = {
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+};
+
+Puzzles.conform = (puzzle, schema = Puzzles.schema) => {
+  if (!Puzzles.types[schema.type](puzzle)) {
+    throw new Error('A puzzle has to be an object.');
+  }
+
+  const name = puzzle.id ? `Puzzle "${puzzle.id}"` : 'A puzzle';
+  const a = word => `${/^[aeiou]/.test(word) ? 'an' : 'a'} ${word}`;
+  schema.required.forEach((key) => {
+    if (!(key in puzzle)) {
+      throw new Error(`${name} needs ${a(key)}.`);
+    }
+  });
+
+  Object.keys(puzzle).forEach((key) => {
+    const rule = schema.properties[key];
+    const value = puzzle[key];
+    if (!rule) {
+      throw new Error(`${name} has ${a(key)}, and puzzles don't have those.`);
+    }
+
+    const problems = [
+      [!Puzzles.types[rule.type](value), a(rule.type)],
+      [rule.pattern && !new RegExp(rule.pattern).test(value), 'lowercase words with dashes between them'],
+      [rule.minLength && String(value).length < rule.minLength, 'filled in'],
+      [rule.enum && rule.enum.indexOf(value) < 0, `one of ${(rule.enum || []).join(', ')}`],
+      [value < rule.minimum || value > rule.maximum, `between ${rule.minimum} and ${rule.maximum}`],
+    ];
+    const problem = problems.find(([wrong]) => wrong);
+    if (problem) {
+      throw new Error(`${name}'s ${key} has to be ${problem[1]}.`);
+    }
+  });
+};
+
+// A puzzle is a game against the AI on hard, which puts up the best defense it
+// can. The player gets whichever side is moving in the puzzle's position. Like
+// a lesson, the puzzle's `id` goes on the board.
+
+Puzzles.find = id => Puzzles.list.find(puzzle => puzzle.id === id);
+
+Puzzles.create = (puzzle, settings = {}) => {
+  const variant = Board.variants[puzzle.variant || 'classic'];
+  const { turn } = Board.fromString(puzzle.position, variant);
+  return Engine.create({
+    variant,
+    position: puzzle.position,
+    level: 'hard',
+    players: { [turn]: 'human', [AI.opponent(turn)]: 'ai' },
+    puzzle: puzzle.id,
+    flip: settings.flip,
+    seed: settings.seed,
+  });
+};
+
+Puzzles.goal = puzzle => `win in ${puzzle.win} move${puzzle.win === 1 ? '' : 's'}`;
+
+// A win in one move is a single move, but a win in two is the player's move,
+// the AI's reply, and the player's winning move. So a puzzle has to be over
+// within `plies`, the number of moves both players make.
+//
+// Checking a puzzle means more than reading its schema. Its position has to
+// make sense, and our search has to agree that the player to move wins in
+// exactly as many moves as the puzzle says. If they could win sooner, the
+// puzzle's asking for the wrong thing.
+
+Puzzles.plies = puzzle => (2 * puzzle.win) - 1;
+
+Puzzles.validate = (puzzle) => {
+  Puzzles.conform(puzzle);
+
+  let board;
+  try {
+    board = Puzzles.create(puzzle);
+  } catch (e) {
+    throw new Error(`Puzzle "${puzzle.id}": ${e.message}`);
+  }
+
+  if (board.result) {
+    throw new Error(`Puzzle "${puzzle.id}" is already over.`);
+  }
+
+  const evaluation = Analysis.evaluate(board, board.turn);
+  if (evaluation.result !== 'win') {
+    throw new Error(`Puzzle "${puzzle.id}" isn't a win for ${board.turn.toUpperCase()}.`);
+  }
+
+  const moves = Analysis.moves(evaluation.distance);
+  if (moves !== puzzle.win) {
+    throw new Error(`Puzzle "${puzzle.id}" is a win in ${moves}, not ${puzzle.win}.`);
+  }
+};
+
+// While the player works on a puzzle, we `check` every move they make against
+// the same search. After their move, the AI has to be losing quickly enough
+// for the puzzle to be over in time. A puzzle is `solved` when the player wins
+// in time, and `failed` as soon as they can't. Until then, there's no answer.
+
+Puzzles.check = (board) => {
+  const puzzle = Puzzles.find(board.puzzle);
+  const [solver] = Engine.humans(board);
+  if (!puzzle || !solver) {
+    return undefined;
+  }
+
+  if (board.result) {
+    return board.result === solver && board.history.length <= Puzzles.plies(puzzle) ? 'solved' : 'failed';
+  }
+
+  if (board.turn === solver) {
+    return undefined;
+  }
+
+  const reply = Analysis.evaluate(board, board.turn);
+  const ontime = reply.result === 'loss' && board.history.length + reply.distance <= Puzzles.plies(puzzle);
+  return ontime ? undefined : 'failed';
+};
+
+// Every puzzle in `js/puzzles.js` should pass, and one that asks for the wrong
+// number of moves shouldn't. A bad puzzle would spoil someone's game, so
+// `tools/test.js` runs this one with `npm test` too.
+//
+// ```
+// (function testPuzzles() {
+//   const ids = Puzzles.list.map(puzzle => puzzle.id);
+//   assert(new Set(ids).size === ids.length);
+//   Puzzles.list.forEach(Puzzles.validate);
+//
+//   const wrong = Object.assign({}, Puzzles.list[0], { win: 2 });
+//   try {
+//     Puzzles.validate(wrong);
+//     assert(false);
+//   } catch (e) {
+//     assert(e.message === `Puzzle "${wrong.id}" is a win in 1, not 2.`);
+//   }
+//
+//   let board = Puzzles.create(Puzzles.find('two-threats'));
+//   board = Engine.play(board, 'a1-c2');
+//   assert(Puzzles.check(board) === undefined);
+//   board = Puzzles.create(Puzzles.find('two-threats'));
+//   board = Engine.play(board, 'a1-a2');
+//   assert(Puzzles.check(board) === 'failed');
+// }());
+// ```
+//
+// That's everything it takes to play a game of Nine Holes. In `js/game.js`,
+// we'll wire it up to a renderer so we can play against the AI in a browser.
+
+// <h2 id="node">Appendix: Playing in Node.js</h2>
+//
+// Our board, rules, AI, and engine don't need a browser. When this file is
+// loaded as a [CommonJS][cjs] module, we export them so [Node.js][node] scripts
+// can use them too. Scripts written as [ES modules][esm] can import them from
+// `js/core.mjs`, which hands out the same objects.
+//
+// In a browser, this file and `js/game.js` are joined into one script, and
+// everything here is shared between them.
+//
+//
+// [cjs]: https://nodejs.org/api/modules.html "Node.js Foundation: Modules"
+// [esm]: https://nodejs.org/api/esm.html "Node.js Foundation: ECMAScript Modules"
+// [node]: https://nodejs.org/ "Node.js Foundation: Node.js"
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Board,
+    Rules,
+    AI,
+    Engine,
+    Strategies,
+    Record,
+    Save,
+    Stats,
+    Remote,
+    Mail,
+    Analysis,
+    Tutorial,
+    Puzzles,
+  };
+}
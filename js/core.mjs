@@ -0,0 +1,22 @@
+// The core of **Nine Holes** as an ES module. It's the same board, rules, AI,
+// and engine that `js/core.js` exports for CommonJS.
+
+import core from './core.js';
+
+export const {
+  Board,
+  Rules,
+  AI,
+  Engine,
+  Strategies,
+  Record,
+  Save,
+  Stats,
+  Remote,
+  Mail,
+  Analysis,
+  Tutorial,
+  Puzzles,
+} = core;
+
+export default core;
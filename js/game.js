@@ -1,234 +1,12 @@
-// # How to Make a Video Game #
+// # Nine Holes in the Browser #
 //
-// How do you make a video game?
-//
-// When I created [Prolix][], I didn't know what I was doing. I had a basic
-// understanding of web design, but I didn't know JavaScript. What I wanted was
-// a video game built on open web standards. Something where I could read the
-// code and understand it and change the rules and make it my own.
-//
-// This is that game.
-//
-// If you'd like to play the game before reading about it, you can do that at
-// [frankmitchell.org/nine-holes][fm]. It'll run on most phone and desktop
-// browsers.
-//
-//
-// [Prolix]: https://prolix-app.com/ "Prolix is a word search game for the iPhone and iPod touch which lets you tweet your scores so your friends can play with you."
-// [fm]: https://www.frankmitchell.org/nine-holes "Frank Mitchell: Nine Holes"
-//
-// ---
-//
-// **Nine Holes** is an old two-player game. It's played on a 3 x 3 board and
-// is reminiscent of tic-tac-toe. Players have three pieces each. They take
-// turns putting them on the board, and the winner is first to get three in
-// a row. Unlike tic-tac-toe, diagonals don't count for a win, and pieces can be
-// moved after they're played.
-//
-// So how do we make that into a video game? Well, let's start with a board.
-const Board = {};
-
-// <style>
-// .board {
-//   display: inline-grid;
-//   grid-template-areas:
-//     ". . ."
-//     ". . ."
-//     ". . ."
-//     ". . ."
-//     ". . ."
-//     ;
-//   border-top: 1px solid gray;
-//   border-left: 1px solid gray;
-// }
-// .board > * {
-//   border-bottom: 1px solid gray;
-//   border-right: 1px solid gray;
-// }
-// .board > *,
-// .ranks > *,
-// .files > * {
-//   font: 1rem/1 sans-serif;
-//   width: 1.8rem;
-//   height: 1.8rem;
-//   display: flex;
-//   justify-content: center;
-//   align-items: center;
-// }
-// .layout {
-//   display: inline-grid;
-//   grid-template-areas:
-//     ". ."
-//     ". ."
-//     ;
-// }
-// .files {
-//   display: flex;
-//   flex-direction: row;
-// }
-// .x:after {
-//   content: 'x';
-// }
-// .y:after {
-//   content: 'y';
-// }
-// .picked {
-//   background: pink;
-// }
-// </style>
-//
-// When talking about board games, it's useful to be able to describe the
-// players and the moves they make in shorthand. Chess notation used numbers for
-// ranks (rows) and letters for files (columns). So we can draw a 3 x 3 board
-// like this:
-//
-// <div class="layout">
-// <div class="ranks">
-//   <div>3</div>
-//   <div>2</div>
-//   <div>1</div>
-// </div>
-// <div class="board">
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-// </div>
-// <div></div>
-// <div class="files">
-//   <div>a</div>
-//   <div>b</div>
-//   <div>c</div>
-// </div>
-// </div>
-//
-// We can reference any space on our board as a letter and number. So "a1" is
-// the space in the lower left corner, and "c3" is the space in the upper right
-// corner.
-//
-// Since we used "a" and "b" as column labels, we'll use X and Y for the
-// players. In our game, players don't start with pieces on the board. But in
-// other games, like Checkers, they do. Let's extend our board slightly so it
-// has starting spaces for the pieces.
-//
-// <div class="layout">
-// <div class="ranks">
-//   <div>5</div>
-//   <div>4</div>
-//   <div>3</div>
-//   <div>2</div>
-//   <div>1</div>
-// </div>
-// <div class="board">
-//   <div class="y"></div>
-//   <div class="y"></div>
-//   <div class="y"></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div class="x"></div>
-//   <div class="x"></div>
-//   <div class="x"></div>
-// </div>
-// <div></div>
-// <div class="files">
-//   <div>a</div>
-//   <div>b</div>
-//   <div>c</div>
-// </div>
-// </div>
-//
-// Every time we start a new game, that's what we want the board to look like.
-// So let's give ourselves a way to create new game boards.
-
-Board.create = () => {
-  const files = ['a', 'b', 'c'];
-  const ranks = ['1', '2', '3', '4', '5'];
-
-  const layout = {};
-
-  files.forEach((file) => {
-    ranks.forEach((rank) => {
-      layout[file + rank] = '';
-    });
-  });
-
-  files.forEach((file) => {
-    layout[`${file}1`] = 'x';
-    layout[`${file}5`] = 'y';
-  });
-
-  return {
-    files,
-    ranks,
-    layout,
-  };
-};
+// The board, rules, AI, and game engine for **Nine Holes** live in
+// `js/core.js`, which doesn't know anything about web pages. This is where we
+// put them on the screen. The build joins the two files into one script, with
+// the core first, so everything it defines is already here.
 
-// The `Board.create` function returns everything we need to draw a picture of
-// the game. The board shouldn't care how it's rendered. For all it knows, we
-// could be playing this game on a terminal and drawing it with ASCII text.
-//
-// Now that we can draw the board, we need a way to move pieces around it. If X
-// starts by moving from a1 to c4, we can write that as "a1-c4". If Y responds
-// by moving b5 to a4, we can write that as "b5-a4". We can keep both those
-// moves in a list, `["a1-c4", "b5-a4"]`, and give ourselves a way to make them.
-
-Board.clone = board => JSON.parse(JSON.stringify(board));
-
-Board.move = (board, moves) => {
-  const copy = Board.clone(board);
-
-  moves.forEach((move) => {
-    const [start, end] = move.split('-');
-    copy.layout[end] = copy.layout[start];
-    copy.layout[start] = '';
-  });
-
-  return copy;
-};
+/* global Board, Rules, AI, Engine, Strategies, Record, Save, Stats, Remote, Mail, Analysis, Tutorial, Puzzles */
 
-// The `Board.move` function uses `JSON.stringify` and `JSON.parse` to make a
-// deep copy of a boad before updating it. This keeps the function pure. The
-// same board and the same moves always give the same output. Pure functions
-// are easier to debug than functions that mutate state, so we'll try to write
-// as many of them as we can.
-//
-// We now have enough code to run a tiny test. We'll create a new board, make
-// two moves on it, and see how the board changes.
-//
-// ```
-// (function testImmutableBoard() {
-//   const starting = Board.create();
-//   const playing = Board.move(starting, ['a1-c4', 'b5-a4']);
-//
-//   assert(starting['a1'] === 'x');
-//   assert(starting['c4'] === '');
-//   assert(starting['b5'] === 'y');
-//   assert(starting['a4'] === '');
-//
-//   assert(playing['a1'] === '');
-//   assert(playing['c4'] === 'x');
-//   assert(playing['b5'] === '');
-//   assert(playing['a4'] === 'y');
-// }());
-// ```
-//
-// Our board looks like it's working, so let's put it on the screen.
-//
-// ---
-//
 // [Canvas][] and [WebGL][] are often used to render video games in the browser.
 // But for a game like ours, where the action isn't fast, HTML and CSS are quick
 // enough.
@@ -376,18 +154,154 @@ Board.move = (board, moves) => {
 
 const Renderer = {};
 
-Renderer.render = (board, picked) => {
+// Variants come in different shapes and sizes, so the HTML for the board can't
+// be written once and left alone. If the spaces on the page don't match the
+// board we're rendering, we build new ones. X's starting ranks go at the
+// bottom, Y's go at the top, and the spaces to play on go in the middle.
+//
+// Not everyone can see the board, or use a mouse. So the board is an [ARIA
+// grid][grid], with every rank a `row` and every space a `gridcell`. Only one
+// space at a time can be reached with the tab key. We start with a1, and the
+// game moves it around with the arrow keys.
+//
+// [grid]: https://www.w3.org/TR/wai-aria-practices/#grid "W3C: WAI-ARIA Authoring Practices - Grid"
+
+Renderer.build = (board) => {
+  const spaces = document.getElementById('spaces');
+  const ids = Object.keys(board.layout);
+  const found = spaces ? spaces.querySelectorAll('.space') : [];
+
+  if (!spaces || (found.length === ids.length && ids.every(id => document.getElementById(id)))) {
+    return;
+  }
+
+  const homes = Board.homes(board.variant || Board.variants.classic);
+  const ranks = board.ranks.slice().reverse();
+  const middle = document.createElement('div');
+  middle.className = 'col board';
+  middle.setAttribute('role', 'rowgroup');
+
+  const row = (rank, classes) => {
+    const element = document.createElement('div');
+    element.className = 'row';
+    element.setAttribute('role', 'row');
+    board.files.forEach((file) => {
+      const space = document.createElement('div');
+      space.className = `pickable center space${classes}`;
+      space.id = file + rank;
+      space.setAttribute('role', 'gridcell');
+      space.setAttribute('tabindex', space.id === board.files[0] + board.ranks[0] ? '0' : '-1');
+      element.appendChild(space);
+    });
+    return element;
+  };
+
+  while (spaces.firstChild) {
+    spaces.removeChild(spaces.firstChild);
+  }
+
+  ranks.forEach((rank, index) => {
+    if (index < homes) {
+      spaces.appendChild(row(rank, ''));
+    } else if (index < ranks.length - homes) {
+      middle.appendChild(row(rank, ' empty'));
+    } else {
+      if (!middle.parentNode) {
+        spaces.appendChild(middle);
+      }
+      spaces.appendChild(row(rank, ''));
+    }
+  });
+};
+
+Renderer.render = (board, picked, targets = [], hint) => {
   const $ = window.jQuery;
 
+  Renderer.build(board);
+
   Object.keys(board.layout).forEach((id) => {
     const element = $(`#${id}`);
-    element.removeClass('picked');
-    element.removeClass('x');
-    element.removeClass('y');
+    ['picked', 'won', 'target', 'hint', 'from', 'to', 'x', 'y'].forEach(name => element.removeClass(name));
     element.addClass(board.layout[id]);
   });
 
   $(`#${picked}`).addClass('picked');
+  targets.forEach(id => $(`#${id}`).addClass('target'));
+  (board.line || []).forEach(id => $(`#${id}`).addClass('won'));
+
+  Object.keys(board.layout).forEach((id) => {
+    const element = $(`#${id}`).unwrap();
+    if (element) {
+      element.setAttribute('aria-label', Renderer.label(board, id, picked, targets));
+      element.setAttribute('aria-selected', String(id === picked));
+    }
+  });
+
+  const hinted = $('#hint');
+  ['winning', 'blocking', 'neutral'].forEach(name => hinted.removeClass(name));
+  hinted.text(hint ? `${hint.label || 'Hint'}: ${hint.move}${Renderer.hints[hint.kind]}` : '');
+  if (hint) {
+    const [from, to] = hint.move.split('-');
+    $(`#${from}`).addClass('hint').addClass('from');
+    $(`#${to}`).addClass('hint').addClass('to');
+    hinted.addClass(hint.kind);
+  }
+
+  $('#status').text(Renderer.status(board));
+  $('#count').text(board.turn ? `Move ${Math.floor(board.count / 2) + 1}` : '');
+
+  const level = $('#level');
+  ['easy', 'medium', 'hard'].forEach(name => level.removeClass(name));
+  level.addClass(board.level);
+
+  const strategy = $('#strategy');
+  const chosen = Strategies.find(board.strategy);
+  Strategies.list.forEach(other => strategy.removeClass(other.name));
+  strategy.addClass(chosen.name);
+  strategy.unwrap().title = chosen.title;
+
+  const variant = $('#variant');
+  Object.keys(Board.variants).forEach(name => variant.removeClass(name));
+  variant.addClass(Renderer.variant(board));
+  $('#rules').text(Renderer.rules(board));
+
+  const mode = $('#mode');
+  Object.keys(Engine.modes).forEach(name => mode.removeClass(name));
+  mode.addClass(Engine.mode(board));
+
+  const humans = Engine.humans(board);
+  const side = $('#side');
+  side.removeClass('x');
+  side.removeClass('y');
+  side.addClass(humans.length === 1 ? humans[0] : '');
+
+  const first = $('#first');
+  first.removeClass('x');
+  first.removeClass('y');
+  first.addClass(board.first);
+
+  const flip = $('#flip');
+  flip.removeClass('on');
+  if (board.flip) {
+    flip.addClass('on');
+  }
+
+  const table = $('#table');
+  table.removeClass('draw');
+  table.removeClass('flipped');
+  if (board.result === 'draw') {
+    table.addClass('draw');
+  }
+  if (Renderer.bottom(board) === 'y') {
+    table.addClass('flipped');
+  }
+
+  $('#room').text(board.room ? `Room ${board.room}` : '');
+  const labels = Renderer.controls(board);
+  Object.keys(labels).forEach(id => $(`#${id}`).attr('aria-label', labels[id]));
+
+  $('#debug').text(Renderer.debug(board));
+  Renderer.history(board);
 };
 
 // We use the `removeClass` function to clear any `x`, `y`, or `picked` classes
@@ -396,395 +310,696 @@ Renderer.render = (board, picked) => {
 // there's no picked element. An `$('#undefined')` call won't find anything, so
 // nothing gets picked.
 //
-// To keep the rendered board up to date, we could use a loop and redraw it
-// periodically. However, we only really need to redraw the board when something
-// changes. So we'll give ourselves a way to invalidate the rendering and
-// trigger a redraw.
+// Once a piece is picked, it helps to see where it can go. We mark those
+// spaces with a `target` class. The renderer doesn't know the rules, so the
+// game works out the `targets` and hands them to us. The same goes for a
+// `hint`, which is a move and the kind of move it is. We mark the spaces it
+// moves from and to so they can be animated, and say what the move is.
+//
+// Later on, we'll give our AI different levels of difficulty. The `level`
+// button shows which one we're playing against, so it gets rendered the same
+// way as the pieces. The `strategy` button works the same way for how the AI
+// plays. Strategies anyone can register don't have their own picture, so the
+// button's title names the one we're playing against. We'll also find out that
+// games can end in a draw. When they do, we fade out the whole table. When
+// someone wins, we mark the spaces in their winning `line` with a `won` class.
+//
+// The `mode` button shows who's playing, one person against the AI, two
+// people, one person against someone online or by correspondence, or nobody at
+// all. Online games show the code for their room, so it can be shared. The
+// `side` button shows which pieces the person playing the AI has, and the
+// `first` button shows whose pieces move first.
+//
+// When one person is playing the AI, their pieces are always at the bottom of
+// the board. When two people are playing and the board is set to `flip`, we
+// turn the whole table upside down so the person whose turn it is sees their
+// pieces at the bottom.
+
+Renderer.bottom = (board) => {
+  const humans = Engine.humans(board);
+
+  if (humans.length === 1) {
+    return humans[0];
+  }
 
-Renderer.invalidate = (board, picked) => {
-  requestAnimationFrame(() => Renderer.render(board, picked));
+  if (board.flip && humans.indexOf(board.turn) > -1) {
+    return board.turn;
+  }
+
+  return 'x';
 };
 
-// Using [`requestAnimationFrame`][raf] lets the browser queue all our style
-// changes and apply them before the next repaint. With more time sensitive
-// animations, this helps avoid flickering.
-//
-// [raf]: https://developer.mozilla.org/en-US/docs/Web/API/window/requestAnimationFrame "Various (MDN): window.requestAnimationFrame"
-//
-// Let's run the same test as before, but this time we'll render the board.
-//
-// ```
-// (function testRenderer() {
-//   const starting = Board.create();
-//   Renderer.invalidate(starting);
-//
-//   const playing = Board.move(starting, ['a1-c4', 'b5-a4']);
-//   Renderer.invalidate(playing, 'b1');
-// }());
-// ```
-//
-// Here's what that looks like.
-//
-// <div class="board">
-//   <div class="y"></div>
-//   <div></div>
-//   <div class="y"></div>
-//   <div class="y"></div>
-//   <div></div>
-//   <div class="x"></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div></div>
-//   <div class="x picked"></div>
-//   <div class="x"></div>
-// </div>
-//
-// So what's the next move?
-//
-// X could play "b1-c4" and try to stack pieces on top of each other. That would
-// be illegal, but the `Board.move` function doesn't know the rules of the game.
-// Just like how we don't want the board to know or care how it's displayed, we
-// also don't want it to know or care about rules. We'll figure those out next.
+// Next to the board, we show how the game is going and what move it is. Two
+// moves, one by each player, make one numbered move like in chess. Boards that
+// don't know whose `turn` it is aren't part of a game, so they don't get a
+// move number. All the text comes from the board, so we can write it with
+// [`textContent`][text] instead of poking at the HTML.
 //
-// ---
+// When one person is playing the AI, or someone online or by correspondence,
+// we talk to them as "you" and call the other player their opponent.
+// Otherwise we call the players by the shape of their pieces.
 //
-// Let's write some rules.
-
-const Rules = {};
+// [text]: https://developer.mozilla.org/en-US/docs/Web/API/Node/textContent "Various (MDN): Node.textContent"
 
-// You can move your own pieces.
+Renderer.names = {
+  x: 'Square',
+  y: 'Circle',
+};
 
-Rules.pickable = (board, player) => {
-  const spaces = Object.keys(board.layout);
-  return spaces.filter(space => board.layout[space] === player);
+Renderer.opponents = {
+  ai: 'The AI',
+  remote: 'Your opponent',
+  mail: 'Your opponent',
+  tutor: 'Your opponent',
 };
 
-// You can move a piece to an empty non-starting space.
+// Screen readers read each space's label out loud, so it needs to say what's
+// there, like "b3, your piece". Picked spaces and spaces the picked piece can
+// move to say so too.
+
+Renderer.owner = (board, player) => {
+  const players = board.players || {};
+  if (Engine.humans(board).length !== 1) {
+    return `${Renderer.names[player]}'s`;
+  }
+
+  if (players[player] === 'human') {
+    return 'your';
+  }
 
-Rules.starting = (board) => {
-  const spaces = Object.keys(board.layout);
-  return spaces.filter(space => space.charAt(1) === '1' || space.charAt(1) === '5');
+  const name = Renderer.opponents[players[player]];
+  return `${name.charAt(0).toLowerCase()}${name.slice(1)}'s`;
 };
 
-Rules.playable = (board) => {
-  const spaces = Object.keys(board.layout);
-  const empty = spaces.filter(space => !board.layout[space]);
+Renderer.mover = (board, player) => {
+  const players = board.players || {};
+  if (Engine.humans(board).length !== 1) {
+    return Renderer.names[player];
+  }
 
-  const starting = Rules.starting(board);
-  return empty.filter(space => starting.indexOf(space) < 0);
+  return players[player] === 'human' ? 'You' : Renderer.opponents[players[player]];
 };
 
-// So every combination of a piece you can pick up and a space you can play
-// into, is an allowed move.
+Renderer.label = (board, id, picked, targets = []) => {
+  const piece = board.layout[id];
+  const parts = [id, piece ? `${Renderer.owner(board, piece)} piece` : 'empty'];
 
-Rules.moves = (board, player) => {
-  const pickable = Rules.pickable(board, player);
-  const playable = Rules.playable(board);
-  const moves = [];
+  if (id === picked) {
+    parts.push('picked');
+  }
+  if (targets.indexOf(id) > -1) {
+    parts.push('can move here');
+  }
 
-  pickable.forEach((start) => {
-    playable.forEach((end) => {
-      moves.push(`${start}-${end}`);
-    });
-  });
+  return parts.join(', ');
+};
+
+// The buttons show what they're set to with pictures, which screen readers
+// can't see. So each one's label says it in words too.
 
-  return moves;
+Renderer.controls = (board) => {
+  const humans = Engine.humans(board);
+  const { name } = board.variant || Board.variants.classic;
+
+  return {
+    level: `Level: ${board.level}`,
+    strategy: `Strategy: ${Strategies.find(board.strategy).title}`,
+    variant: `Variant: ${name}`,
+    mode: `Mode: ${Engine.mode(board)}`,
+    side: humans.length === 1 ? `Side: ${Renderer.names[humans[0]]}` : 'Side',
+    first: `First move: ${Renderer.names[board.first] || Renderer.names.x}`,
+    flip: `Flip board: ${board.flip ? 'on' : 'off'}`,
+  };
 };
 
-// That's enough to write a tiny test. Continuing the game above, X has three
-// pieces, and there are seven empty spaces to play into. So that's twenty-one
-// allowed moves.
-//
-// ```
-// (function testMovementRules() {
-//   const starting = Board.create();
-//   const playing = Board.move(starting, ['a1-c4', 'b5-a4']);
-//   const moves = Rules.moves(playing, 'x');
+// After every move, we say who moved where in a [live region][live], so
+// screen readers announce the person's move and the AI's reply as they happen.
+// If the move ended the game, we say how it turned out too.
 //
-//   assert(moves.length === 21);
-// }());
-// ```
+// The AI often replies before a screen reader has finished reading the
+// person's move. Swapping one message for the other would cut the first one
+// off, so we add each message to the region instead, and only keep the last
+// couple around.
 //
-// The game is over when either player wins by getting three of their pieces in
-// a row. Diagonals don't count though, and we don't want to include pieces in
-// starting spaces.
-
-Rules.winner = (board) => {
-  const files = board.files.slice();
-  const ranks = board.ranks.slice(1, -1);
+// [live]: https://developer.mozilla.org/en-US/docs/Web/Accessibility/ARIA/ARIA_Live_Regions "Various (MDN): ARIA live regions"
 
-  let winner;
-
-  ranks.forEach((rank) => {
-    if (!winner) {
-      const players = [];
+Renderer.announce = (board, move) => {
+  const [start, end] = move.split('-');
+  const result = board.result ? ` ${Renderer.status(board)}.`.replace('!.', '!') : '';
+  return `${Renderer.mover(board, board.layout[end])} moved ${start} to ${end}.${result}`;
+};
 
-      files.forEach((file) => {
-        players.push(board.layout[file + rank]);
-      });
+Renderer.say = (message) => {
+  const region = window.jQuery('#announce').unwrap();
+  const line = document.createElement('p');
+  line.textContent = message;
+  region.appendChild(line);
 
-      if (new Set(players).size === 1 && players[0]) {
-        [winner] = players;
-      }
-    }
-  });
+  while (region.childNodes.length > 2) {
+    region.removeChild(region.firstChild);
+  }
+};
 
-  files.forEach((file) => {
-    if (!winner) {
-      const players = [];
+// Hints say what kind of move they are, as long as it's an interesting one.
 
-      ranks.forEach((rank) => {
-        players.push(board.layout[file + rank]);
-      });
+Renderer.hints = {
+  winning: ' wins',
+  blocking: ' blocks',
+  neutral: '',
+};
 
-      if (new Set(players).size === 1 && players[0]) {
-        [winner] = players;
-      }
-    }
-  });
+// Boards carry their whole variant around, but we only have icons and
+// instructions for the ones we know by name.
 
-  return winner;
+Renderer.variant = (board) => {
+  const variant = board.variant || Board.variants.classic;
+  return Object.keys(Board.variants).find(key => Board.variants[key].name === variant.name);
 };
 
-// The decision to test for file wins first (vertical) instead of rank wins
-// (horizontal) is totally arbitrary. The `slice()` function is used to get
-// copies of the ranks and files from the board without changing it.
-//
-// We'll write a test to cover all four cases:
-//
-// 1. Starting space don't count.
-// 2. Three in a row horizontally wins.
-// 3. Three in a row vertically wins.
-// 4. Three in a row diagonally doesn't count.
-//
-// ```
-// (function testWinnerRules() {
-//   const starting = Board.create();
-//   assert(Rules.winner(starting) === undefined);
-//
-//   const horizontal = Board.move(starting, ['a1-a2', 'b1-b2', 'c1-c2']);
-//   assert(Rules.winner(horizontal) === 'x');
-//
-//   const vertical = Board.move(starting, ['a5-a4', 'b5-a3', 'c5-a2']);
-//   assert(Rules.winner(vertical) === 'y');
-//
-//   const diagonal = Board.move(starting, ['a1-a2', 'b1-b3', 'c1-c4']);
-//   assert(Rules.winner(diagonal) === undefined);
-// }());
-// ```
-//
-// There are other edge cases we could cover, like three in a row vertically
-// where one of the pieces is in a starting space. But the goal here isn't
-// exhaustive test coverage. Often the best way to test a game is to start
-// playing it. To do that, we'll need an oppontent.
-//
-// ---
-//
-// Let's write an AI.
-
-const AI = {};
+Renderer.numbers = ['Zero', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine'];
 
-// Our AI can use the rules to find all the winning moves available to it.
+Renderer.rules = (board) => {
+  const variant = board.variant || Board.variants.classic;
+  const row = variant.diagonals ? 'row' : 'non-diagonal row';
+  const slide = variant.slide ? ' Pieces on the board slide one space.' : '';
+  return `${Renderer.numbers[variant.line]} in a ${row} wins!${slide}`;
+};
 
-AI.winning = (board, player) => {
-  const moves = Rules.moves(board, player);
-  return moves.filter((move) => {
-    const test = Board.move(board, [move]);
-    return Rules.winner(test) === player;
-  });
+// There's a debug view too, for when something strange happens. It lists
+// everything needed to play the game again, most of all the `seed` the AI
+// rolls its dice with. A save has the same things in it, so someone reporting
+// a strange move can paste either one.
+
+Renderer.debug = (board) => {
+  const players = board.players || {};
+  return [
+    `Seed: ${board.seed}`,
+    `Start: ${board.position || 'new game'}`,
+    `Position: ${Board.toString(board)}`,
+    `Variant: ${Renderer.variant(board)}`,
+    `Level: ${board.level}`,
+    `Strategy: ${Strategies.find(board.strategy).name}`,
+    `Players: X ${players.x}, Y ${players.y}`,
+    `Moves: ${(board.history || []).join(' ')}`,
+    `Taken back: ${(board.future || []).join(' ')}`,
+  ].join('\n');
 };
 
-// Our AI can also use the rules to find all the blocking moves available to it.
-// Assume it's the other player's turn. What move would they make to win? If the
-// AI can find a move it can make that puts its piece in the same space, that's
-// a blocking move.
+Renderer.status = (board) => {
+  const players = board.players || {};
+  const single = Engine.humans(board).length === 1;
 
-AI.opponent = player => (player === 'x' ? 'y' : 'x');
+  if (board.result === 'draw') {
+    return 'It\'s a draw';
+  }
 
-AI.blocking = (board, player) => {
-  const opponent = AI.opponent(player);
-  const winning = AI.winning(board, opponent).map(move => move.slice(3));
-  const blocking = Rules.moves(board, player);
-  return blocking.filter(move => winning.indexOf(move.slice(3)) > -1);
-};
+  if (board.result && single) {
+    return players[board.result] === 'human' ? 'You win!' : `${Renderer.opponents[players[board.result]]} wins`;
+  }
 
-// Our AI wants to get all its pieces on the board. So it can use the rules to
-// find moves that originate from a starting space.
+  if (board.result) {
+    return `${Renderer.names[board.result]} wins`;
+  }
 
-AI.starting = (board, player) => {
-  const moves = Rules.moves(board, player);
-  const starting = Rules.starting(board);
-  return moves.filter(move => starting.indexOf(move.slice(0, 2)) > 0);
-};
+  if (!board.turn) {
+    return '';
+  }
 
-// Our AI is simple. It plays a winning move if it sees one. Otherwise it plays
-// a blocking move. If it doesn't see any winning or blocking moves, it plays a
-// legal move. It prefers to play starting moves first.
+  if (board.lesson && !Tutorial.step(board)) {
+    return 'Lesson complete';
+  }
 
-AI.moves = (board, player) => {
-  const winning = AI.winning(board, player);
-  if (winning.length > 0) {
-    return winning;
+  if (players[board.turn] === 'tutor') {
+    return 'Your opponent is thinking';
   }
 
-  const blocking = AI.blocking(board, player);
-  if (blocking.length > 0) {
-    return blocking;
+  if (players[board.turn] === 'ai') {
+    return single ? 'AI is thinking' : `${Renderer.names[board.turn]} is thinking`;
   }
 
-  const starting = AI.starting(board, player);
-  if (starting.length > 0) {
-    return starting;
+  if (players[board.turn] === 'remote') {
+    return 'Waiting for your opponent';
   }
 
-  return Rules.moves(board, player);
-};
+  if (players[board.turn] === 'mail') {
+    return 'Send this page\'s link to your opponent';
+  }
 
-AI.move = (board, player) => {
-  const moves = AI.moves(board, player);
-  const index = Math.floor(Math.random() * moves.length);
-  return moves[index];
+  return single ? 'Your turn' : `${Renderer.names[board.turn]}'s turn`;
 };
 
-// Because our AI is stateless, and all its functions take a `player` argument,
-// it can play our game against itself.
+// We also list every move in the game, so players can see how they got here.
+// Moves that have been taken back are still listed, but they're marked as
+// being in the `future`. The last move that led to the board we're showing is
+// marked as `current`, and we scroll the list so it's in view.
 //
-// ```
-// (function testAI() {
-//   let board = Board.create();
-//   let winner;
-//
-//   while (!winner) {
-//     const xmove = AI.move(board, 'x');
-//     board = Board.move(board, [xmove]);
-//     console.log(`x plays ${xmove} resulting in`, JSON.stringify(board.layout));
-//
-//     const ymove = AI.move(board, 'y');
-//     board = Board.move(board, [ymove]);
-//     console.log(`y plays ${ymove} resulting in`, JSON.stringify(board.layout));
-//
-//     winner = Rules.winner(board);
-//   }
-//
-//   console.log(`${winner} wins!`);
-// }());
-// ```
-//
-// It looks like our AI works, but we won't really know until we play a game
-// against it. Let's combine our board, rules, and AI into something that can
-// drive our renderer.
-//
-// ---
-//
-// Let's write a game engine.
+// The list grows and shrinks as the game goes on, so this is the one place we
+// create and remove elements instead of just changing their classes. Each one
+// remembers its place in the list with a `data-index` attribute. That way we
+// can tell which one got picked.
 
-const Engine = {};
+Renderer.history = (board) => {
+  const $ = window.jQuery;
+  const list = $('#history').unwrap();
+  if (!list) {
+    return;
+  }
 
-// A fixed unit of time in video games is often called a tick. With every tick
-// the game state changes, and the board needs to be rendered. For our game, a
-// move by the player and response from the AI is a tick.
+  const history = board.history || [];
+  const moves = history.concat(board.future || []);
+  const offset = (board.count || 0) - history.length;
 
-Engine.tick = (board, player, start, end) => {
-  if (Rules.winner(board)) {
-    return [Board.clone(board), undefined];
+  while (list.children.length < moves.length) {
+    list.appendChild(document.createElement('li'));
+  }
+  while (list.children.length > moves.length) {
+    list.removeChild(list.lastChild);
   }
 
-  let move = `${start}-${end}`;
-  if (Rules.moves(board, player).indexOf(move) > -1) {
-    let next = Board.move(board, [move]);
+  moves.forEach((move, index) => {
+    const ply = index + offset;
+    const number = Math.floor(ply / 2) + 1;
+    const item = $(list.children[index]);
+
+    item.text(ply % 2 ? `${number}\u2026 ${move}` : `${number}. ${move}`);
+    item.unwrap().setAttribute('data-index', index);
+    item.removeClass('future');
+    item.removeClass('current');
+
+    if (index >= history.length) {
+      item.addClass('future');
+    } else if (index === history.length - 1) {
+      item.addClass('current');
+      list.scrollTop = item.unwrap().offsetTop - (list.clientHeight / 2);
+    }
+  });
+};
+
+// After a game, we can look back at it with `Analysis.next`. Each move gets a
+// line of its own, marked the way chess players mark their games, with "?!"
+// for an inaccuracy and "??" for a blunder. Moves that weren't the best say
+// why, and what the AI would have played instead. When the AI couldn't search
+// to the end, they say how far ahead it looked. Picking one shows the board
+// before it, with the better move marked on it. Until the analysis is done,
+// the last line says how far along it is.
+//
+// Under the list is a graph of how the game went. It's drawn from X's point of
+// view, so the line is at the top when X is winning, at the bottom when Y is,
+// and in the middle when neither player can force a win. It's an [SVG][]
+// polyline with a point for every position, including the one before the first
+// move.
+//
+// [SVG]: https://developer.mozilla.org/en-US/docs/Web/SVG/Element/polyline "Various (MDN): <polyline>"
+
+Renderer.symbols = {
+  best: '',
+  inaccuracy: '?!',
+  blunder: '??',
+};
+
+Renderer.review = (board, analysis, selected) => {
+  const $ = window.jQuery;
+  const list = $('#review').unwrap();
+  const panel = $('#analysis');
+  if (!list) {
+    return;
+  }
 
-    if (Rules.winner(next) !== player) {
-      move = AI.move(next, AI.opponent(player));
-      next = Board.move(next, [move]);
+  panel.removeClass('on');
+  while (list.firstChild) {
+    list.removeChild(list.firstChild);
+  }
+  if (!analysis) {
+    return;
+  }
+
+  const offset = (board.count || 0) - board.history.length;
+  analysis.entries.forEach((entry, index) => {
+    const ply = index + offset;
+    const number = Math.floor(ply / 2) + 1;
+    const better = entry.better ? ` Better was ${entry.better}.` : '';
+    const item = $(document.createElement('li'));
+
+    const move = `${number}${ply % 2 ? '\u2026' : '.'} ${entry.move}${Renderer.symbols[entry.label]}`;
+
+    item.text(`${move} ${entry.note}${better}`.trim());
+    item.unwrap().setAttribute('data-index', index);
+    item.addClass(entry.label);
+    if (index === selected) {
+      item.addClass('current');
     }
+    list.appendChild(item.unwrap());
+  });
 
-    return [next, undefined];
+  if (!Analysis.done(analysis)) {
+    const item = $(document.createElement('li'));
+    item.text(`Analyzing move ${analysis.entries.length + 1} of ${board.history.length}\u2026`);
+    item.addClass('pending');
+    list.appendChild(item.unwrap());
   }
 
-  const pickable = Rules.pickable(board, player);
-  const picked = [end, start].filter(space => pickable.indexOf(space) > -1);
-  return [Board.clone(board), ...picked];
+  const width = Math.max(analysis.values.length - 1, 1) * 10;
+  const points = analysis.values.map((value, index) => `${index * 10},${20 - (value * 18)}`);
+  $('#graph').unwrap().setAttribute('viewBox', `0 0 ${width} 40`);
+  $('#evaluation').unwrap().setAttribute('points', points.join(' '));
+  panel.addClass('on');
 };
 
-// The `Engine.tick` function takes a board, a player, and a move. It returns
-// a board and a picked piece. That response matches the input to the
-// `Renderer.render` function, so we can draw the board with every tick.
+// Lessons and puzzles explain themselves under the rules. A lesson shows the
+// step the player's on, or how it ends. A puzzle says who's moving and what
+// they're trying to do. Either one can `coach` the player about the last thing
+// they tried, too.
+
+Renderer.lesson = (board, coach) => {
+  const $ = window.jQuery;
+  const lesson = Tutorial.find(board.lesson);
+  const puzzle = Puzzles.find(board.puzzle);
+  const step = Tutorial.step(board);
+  let text = '';
+
+  if (lesson) {
+    text = `${lesson.title}. ${step ? step.text : lesson.done}`;
+  } else if (puzzle) {
+    const [solver] = Engine.humans(board);
+    text = `${puzzle.title}. ${Renderer.names[solver]} to move and ${Puzzles.goal(puzzle)}.`;
+  }
+
+  $('#lesson').text(text);
+  $('#coach').text(coach || '');
+};
+
+// Under the move list, we show how someone playing the AI is doing at each
+// level. The stats themselves come from the game, since they aren't part of the
+// board. Every level has a row in the HTML, and we fill in the numbers.
+
+Renderer.totals = (levels) => {
+  const $ = window.jQuery;
+
+  ['easy', 'medium', 'hard'].forEach((level) => {
+    const tally = levels[level] || {};
+    ['wins', 'losses', 'draws', 'streak'].forEach((column) => {
+      $(`#${level}-${column}`).text(String(tally[column] || 0));
+    });
+    $(`#${level}-streak`).unwrap().title = `Best streak: ${tally.best || 0}`;
+  });
+};
+
+// To keep the rendered board up to date, we could use a loop and redraw it
+// periodically. However, we only really need to redraw the board when something
+// changes. So we'll give ourselves a way to invalidate the rendering and
+// trigger a redraw.
+
+Renderer.invalidate = (board, picked, targets, hint) => {
+  Renderer.queue.push([board, picked, targets, hint]);
+  if (Renderer.queue.length === 1) {
+    requestAnimationFrame(Renderer.next);
+  }
+};
+
+// Using [`requestAnimationFrame`][raf] lets the browser queue all our style
+// changes and apply them before the next repaint. With more time sensitive
+// animations, this helps avoid flickering.
 //
-// If either the player or AI has won, we return the board unchanged with
-// nothing picked.
+// Swapping classes makes pieces jump from one space to another, which makes it
+// hard to see what the AI just did. So when the board we're about to draw is
+// the last board we drew plus one more move, we slide the piece across first.
+// Sliding takes a little while, and people can click faster than that. So we
+// keep a `queue` of boards to draw and work through them in order. Each one
+// waits for the one before it to finish sliding. That way the person's move
+// and the AI's reply play one after the other, and nothing gets drawn out of
+// order.
 //
-// If the player is allowed to make their move, they take it. If the player
-// didn't make a winning move, the AI gets a turn. Either way, we return the
-// updated board with nothing picked.
+// [raf]: https://developer.mozilla.org/en-US/docs/Web/API/window/requestAnimationFrame "Various (MDN): window.requestAnimationFrame"
+
+Renderer.queue = [];
+
+Renderer.duration = 250;
+
+Renderer.next = () => {
+  const [board, picked, targets, hint] = Renderer.queue[0];
+  const move = Renderer.moved(Renderer.drawn, board);
+
+  const done = () => {
+    Renderer.render(board, picked, targets, hint);
+    if (move) {
+      Renderer.say(Renderer.announce(board, move));
+    }
+    Renderer.drawn = board;
+    Renderer.placed = move === Renderer.placed ? undefined : Renderer.placed;
+    Renderer.queue.shift();
+    if (Renderer.queue.length > 0) {
+      requestAnimationFrame(Renderer.next);
+    }
+  };
+
+  if (move && move !== Renderer.placed && !Renderer.reduced()) {
+    Renderer.slide(move, done);
+  } else {
+    done();
+  }
+};
+
+Renderer.moved = (previous, next) => {
+  const before = (previous && previous.history) || [];
+  const after = next.history || [];
+
+  if (!previous || after.length !== before.length + 1) {
+    return undefined;
+  }
+
+  return before.every((move, index) => move === after[index]) ? after[before.length] : undefined;
+};
+
+// Some people get motion sick when things slide around the screen, and they
+// can ask their browser to [reduce motion][prm]. When they do, we skip the
+// slide and swap classes like we always have.
 //
-// If the player tried to make an illegal move, we return the board unchanged.
-// But we also need to figure out what space to leave picked. We know the player
-// picked `start` and then picked `end`, so we return the _last_ valid space
-// they chose. This lets the player pick a piece and then change their mind and
-// pick a different piece.
+// [prm]: https://developer.mozilla.org/en-US/docs/Web/CSS/@media/prefers-reduced-motion "Various (MDN): prefers-reduced-motion"
+
+Renderer.reduced = () => Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+
+// To slide a piece, we make a `ghost` copy of it that floats above the board,
+// and take the real piece off its starting space. Then we move the ghost a bit
+// closer to where it's going on every frame. Starting slow, speeding up, and
+// slowing down again looks more natural than moving at the same speed the
+// whole way. That's called [easing][]. Once the ghost gets there, we throw it
+// away and draw the board with the piece in its new space.
 //
-// Let's write a test to check illegal moves.
+// [easing]: https://easings.net/#easeInOutCubic "Andrey Sitnik and Ivan Solovev: Easing Functions Cheat Sheet"
+
+Renderer.ease = t => (t < 0.5 ? 4 * t * t * t : 1 - ((((-2 * t) + 2) ** 3) / 2));
+
+Renderer.ghost = (start) => {
+  const piece = ['x', 'y'].find(player => start && start.classList.contains(player));
+
+  if (!piece) {
+    return undefined;
+  }
+
+  const from = start.getBoundingClientRect();
+  const ghost = document.createElement('div');
+  ghost.className = `center space ghost ${piece}`;
+  ghost.style.left = `${from.left}px`;
+  ghost.style.top = `${from.top}px`;
+  document.body.appendChild(ghost);
+  start.classList.remove(piece);
+  return ghost;
+};
+
+Renderer.slide = (move, done) => {
+  const [start, end] = move.split('-').map(id => document.getElementById(id));
+  const ghost = end ? Renderer.ghost(start) : undefined;
+
+  if (!ghost) {
+    done();
+    return;
+  }
+
+  const from = start.getBoundingClientRect();
+  const to = end.getBoundingClientRect();
+
+  let begin;
+  const step = (time) => {
+    begin = begin || time;
+    const t = Math.min((time - begin) / Renderer.duration, 1);
+    const eased = Renderer.ease(t);
+    const x = (to.left - from.left) * eased;
+    const y = (to.top - from.top) * eased;
+    ghost.style.transform = `translate(${x}px, ${y}px)`;
+
+    if (t < 1) {
+      requestAnimationFrame(step);
+    } else {
+      document.body.removeChild(ghost);
+      done();
+    }
+  };
+
+  requestAnimationFrame(step);
+};
+
+// People can also drag a piece to where they want it to go. That uses the same
+// ghost, only it follows the pointer instead of easing across the board. When
+// the piece is dropped, we throw the ghost away. If the drop made a move, the
+// piece is already sitting in its new space, so we remember the move as
+// `placed` and don't slide it there a second time.
+
+Renderer.drag = (id, x, y) => {
+  Renderer.dragged = Renderer.dragged || Renderer.ghost(document.getElementById(id));
+  if (Renderer.dragged) {
+    Renderer.dragged.style.transform = `translate(${x}px, ${y}px)`;
+  }
+};
+
+Renderer.drop = (move) => {
+  if (Renderer.dragged) {
+    document.body.removeChild(Renderer.dragged);
+    Renderer.dragged = undefined;
+  }
+  Renderer.placed = move;
+};
+
+// Let's play the same moves we used to test positions, but this time we'll
+// render the board.
 //
 // ```
-// (function testIllegalMoves() {
-//   const board = Board.create();
-//   const empty = 'a2';
-//   const ai = 'a5';
-//   const player1 = 'a1';
-//   const player2 = 'b1';
-//
-//   assert(Engine.tick(board, 'x', ai, empty)[1] === undefined);
-//   assert(Engine.tick(board, 'x', ai, ai)[1] === undefined);
-//   assert(Engine.tick(board, 'x', ai, player1)[1] === player1);
-//
-//   assert(Engine.tick(board, 'x', empty, empty)[1] === undefined);
-//   assert(Engine.tick(board, 'x', empty, ai)[1] === undefined);
-//   assert(Engine.tick(board, 'x', empty, player1)[1] === player1);
-//
-//   // `player1` to `empty` is a valid move, so we don't need to test it.
-//   assert(Engine.tick(board, 'x', player1, ai)[1] === player1);
-//   assert(Engine.tick(board, 'x', player1, player2)[1] === player2);
-// }());
-// ```
-//
-// Because our engine is stateless, we can use the AI to play our game against
-// the engine. With each tick, the board updates with moves from both players.
+// (function testRenderer() {
+//   const starting = Board.create();
+//   Renderer.invalidate(starting);
 //
+//   const playing = Board.move(starting, ['a1-c4', 'b5-a4']);
+//   Renderer.invalidate(playing, 'b1');
+// }());
 // ```
-// (function testEngine() {
-//   let board = Board.create();
-//   let winner;
-//
-//   while (!winner) {
-//     const xmove = AI.move(board, 'x');
-//     [board] = Engine.tick(board, 'x', ...xmove.split('-'));
-//     console.log(`x plays ${xmove} resulting in`, JSON.stringify(board.layout));
 //
-//     winner = Rules.winner(board);
-//   }
+// Here's what that looks like.
 //
-//   console.log(`${winner} wins!`);
-// }());
-// ```
+// <div class="board">
+//   <div class="y"></div>
+//   <div></div>
+//   <div class="y"></div>
+//   <div class="y"></div>
+//   <div></div>
+//   <div class="x"></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div></div>
+//   <div class="x picked"></div>
+//   <div class="x"></div>
+// </div>
 //
-// It looks like our engine works. Let's wire it up to our renderer so we can
-// play against the AI.
+// Now let's wire everything up to our renderer so we can play against the AI.
 //
 // ---
 //
 // Let's write a game.
 
 (function game() {
-  // Our game keeps track of three things. There's a `board` for the game state,
-  // an `input` list of spaces on the board the player has selected, and a `picked`
-  // space that tracks the currently selected space.
-  let board = Board.create();
+  // Our game keeps track of a few things. There's a `board` for the game state,
+  // an `input` list of spaces on the board the player has selected, and a
+  // `picked` space that tracks the currently selected space. Then there are the
+  // settings for the next game: the `variant` of the rules, the `level` the AI
+  // is playing at, the `strategy` it plays with, the `mode` that says who's
+  // playing, the `side` a person playing the AI is on, who moves `first`,
+  // whether to `flip` the board between turns, and the `position` to start
+  // from, if there is one. Last, there are the `stats` for every game we've
+  // finished, when the current game was `started`, and whether we're
+  // `debugging` it. When we're playing online, there's a `remote` connection
+  // to the server too. After a game, there's its `analysis`, whether we're
+  // still `analyzing` it, and the better move `suggested` for the position
+  // we're looking at. In a lesson or a puzzle, there's what we have to `coach`
+  // the player about their last move.
+  let variant = 'classic';
+  let level = 'easy';
+  let strategy = 'search';
+  let mode = 'single';
+  let side = 'x';
+  let first = 'x';
+  let flip = false;
+  let position;
+  let board = Engine.create({ level });
   let input = [];
   let picked;
+  let pressed;
+  let thinking;
+  let shown;
+  let hint;
+  let stats = Stats.create();
+  let started = Date.now();
+  let debugging = false;
+  let remote;
+  let analysis;
+  let analyzing;
+  let suggested;
+  let coach;
+
+  // Every time we draw the board, we put its position in the page's URL. That
+  // way anyone can copy the link and open the game right where it was. Spaces
+  // don't look good in a link, so we swap them for underscores. Positions
+  // don't say which variant they're for, so unless it's classic Nine Holes, we
+  // put the variant's name in front, like "square:yyyy/4/4/4/4/xxxx_x_0_1".
+  //
+  // We save the game too. Some browsers turn local storage off or run out of
+  // room, and there's nothing we can do about that, so we play on without it.
+  function store() {
+    try {
+      window.localStorage.setItem('nine-holes', Save.stringify(board, {
+        variant,
+        level,
+        strategy,
+        mode,
+        side,
+        first,
+        flip,
+        started,
+      }));
+    } catch (e) {
+      // Keep playing.
+    }
+  }
+
+  function address(target) {
+    const key = Renderer.variant(target);
+    const prefix = key === 'classic' ? '' : `${key}:`;
+    return prefix + Board.toString(target).replace(/ /g, '_');
+  }
+
+  // Online games put their room's code in the URL as well, like
+  // "?room=HJ4KQ". Correspondence games put in a token for the whole game,
+  // like "?letter=1.classic...", once there's a move to send. Either way, that
+  // makes the URL the link to share with an opponent.
+  function search(target) {
+    const query = new URLSearchParams(window.location.search);
+    if (target.room) {
+      query.set('room', target.room);
+    } else {
+      query.delete('room');
+    }
+
+    if (Engine.mode(target) === 'correspondence' && target.history.length > 0) {
+      query.set('letter', Mail.stringify(target));
+    } else {
+      query.delete('letter');
+    }
+
+    const text = query.toString();
+    return text ? `?${text}` : '';
+  }
+
+  function draw() {
+    const rules = board.lesson ? Tutorial : Rules;
+    const targets = shown || !picked ? [] : rules.targets(board, board.turn, picked);
+    Renderer.invalidate(shown || board, picked, targets, shown ? suggested : hint);
+    Renderer.lesson(board, coach);
+    if (window.history && window.history.replaceState) {
+      window.history.replaceState(null, '', `${window.location.pathname}${search(board)}#${address(shown || board)}`);
+    }
+    store();
+  }
 
   // When the player selects a space we add the `picked` class to it, add the
   // selected space to the `input` list, tick the game engine, and render the
@@ -792,52 +1007,919 @@ Engine.tick = (board, player, start, end) => {
   // to player input, tick the game engine, render the world) forever. Since
   // this is a turn based game, we only need to run it when the player does
   // something.
-  function onBoard(element) {
-    element.addClass('picked');
+  //
+  // The spaces on the board change with the variant, so we listen for picks on
+  // the whole board and look at which space was the `target`. We remember
+  // where it was `pressed`, in case the player starts dragging.
+  function onBoard(element, e) {
+    pressed = undefined;
+    if (e.target.id in board.layout) {
+      pressed = { id: e.target.id, x: e.clientX, y: e.clientY };
+      window.jQuery(e.target).addClass('picked');
+    }
+  }
+
+  // When a tick finishes the game, we add it to our stats and save them. Undo,
+  // redo, and loading a record don't tick the engine, so they don't count.
+  // Neither do lessons or puzzles, since they don't start from the beginning.
+  //
+  // Every move in a puzzle gets checked. If the player makes one that doesn't
+  // win in time, we say so and take it back before the AI can reply.
+  function judge(before) {
+    const puzzle = Puzzles.find(board.puzzle);
+    if (!puzzle || before.history.length === board.history.length) {
+      return;
+    }
+
+    const verdict = Puzzles.check(board);
+    coach = undefined;
+    if (verdict === 'solved') {
+      coach = 'Solved!';
+    } else if (verdict === 'failed') {
+      coach = `${board.history[board.history.length - 1]} doesn't ${Puzzles.goal(puzzle)}. Try again.`;
+      board = Object.assign(Engine.rewind(board, before.history.length), { future: [] });
+    }
+  }
+
+  function tick(...spaces) {
+    const before = board;
+    [board, picked] = Engine.tick(board, board.turn, ...spaces);
+    hint = before.history.length === board.history.length ? hint : undefined;
+    judge(before);
+
+    if (board.result && !before.result && !board.lesson && !board.puzzle) {
+      stats = Stats.add(stats, Stats.game(board, new Date(started)));
+      Renderer.totals(stats.levels);
+      try {
+        window.localStorage.setItem('nine-holes-stats', JSON.stringify(stats));
+      } catch (e) {
+        // Keep playing.
+      }
+    }
   }
 
-  function offBoard(element) {
-    input.push(element.unwrap().id);
-    [board, picked] = Engine.tick(board, 'x', ...input);
-    input = picked ? [picked] : [];
-    Renderer.invalidate(board, picked);
+  // The AI's strategy might take longer than half a second to come up with a
+  // move, so we wait for whichever takes longer. Anything we're `thinking`
+  // about can be stopped, which cancels the move the strategy is working on.
+  function think() {
+    const ai = board.players[board.turn] === 'ai';
+    if (board.result || (!ai && !Tutorial.reply(board))) {
+      return;
+    }
+
+    let timer;
+    const pause = new Promise((resolve) => {
+      timer = setTimeout(resolve, 500);
+    });
+    const decision = ai ? Strategies.decide(board) : { promise: Promise.resolve(), cancel: () => undefined };
+    const current = {
+      stop: () => {
+        clearTimeout(timer);
+        decision.cancel();
+      },
+    };
+
+    thinking = current;
+    Promise.all([pause, decision.promise]).then(() => {
+      if (thinking === current) {
+        thinking = undefined;
+        tick();
+        draw();
+        think();
+      }
+    });
   }
 
+  function stop() {
+    if (thinking) {
+      thinking.stop();
+    }
+    thinking = undefined;
+  }
+
+  // Online games don't start until the server gives us a room. After that,
+  // every move we make goes to the server through our `remote`. In a lesson,
+  // anything the lesson doesn't allow gets explained instead of played.
+  function choose(id) {
+    if (shown) {
+      shown = undefined;
+      draw();
+      return;
+    }
+
+    const seated = remote && remote.code && remote.code === board.room;
+    if (thinking || !(id in board.layout) || (Engine.mode(board) === 'online' && !seated)) {
+      return;
+    }
+
+    input.push(id);
+    coach = Tutorial.explain(board, ...input);
+    if (coach) {
+      input = input.slice(0, 1).filter(space => board.layout[space] === board.turn);
+      [picked] = input;
+    } else {
+      tick(...input);
+      input = picked ? [picked] : [];
+    }
+    draw();
+    think();
+
+    if (remote) {
+      Remote.play(remote, board);
+    }
+  }
+
+  // A press that wanders more than a few pixels from where it started is a
+  // drag, as long as it started on a piece the player could pick. Letting go
+  // drops the piece on whatever space is under the pointer. That's the same as
+  // picking the piece and then picking the space, so it goes through
+  // `Engine.tick` like any other move, and an illegal drop picks pieces the
+  // same way two clicks would. Dropping it off the board puts it back.
+  function onDrag(element, e) {
+    if (!pressed || shown || thinking || board.result) {
+      return;
+    }
+
+    const x = e.clientX - pressed.x;
+    const y = e.clientY - pressed.y;
+    if (!pressed.dragging && Math.abs(x) + Math.abs(y) < 5) {
+      return;
+    }
+
+    if (pressed.dragging || Rules.pickable(board, board.turn).indexOf(pressed.id) > -1) {
+      pressed.dragging = true;
+      Renderer.drag(pressed.id, x, y);
+    }
+  }
+
+  function offBoard(element, e) {
+    const { id, dragging } = pressed || {};
+    pressed = undefined;
+
+    if (!dragging) {
+      choose(id);
+      return;
+    }
+
+    const target = document.elementFromPoint && document.elementFromPoint(e.clientX, e.clientY);
+    const before = board;
+    Renderer.drop();
+
+    if (target && target.id in board.layout) {
+      input = [id];
+      choose(target.id);
+    } else {
+      draw();
+    }
+
+    if (board.history.length > before.history.length) {
+      Renderer.drop(board.history[board.history.length - 1]);
+    }
+  }
+
+  // Sometimes the browser takes a press over, to scroll the page or zoom it.
+  // Nothing gets picked or played then. We throw away any ghost we were
+  // dragging and draw the board the way it was.
+  function cancelBoard() {
+    pressed = undefined;
+    Renderer.drop();
+    draw();
+  }
+
+  // To play online, we need a server to talk to. Unless the page's URL says
+  // otherwise, like "?server=wss://example.com", it's the one the page came
+  // from. See `tools/server.js` for one that serves the game too.
+  //
+  // Whenever the server tells us about our room, we set up the board to match
+  // it, and remember the room's code and our token so we can rejoin it after a
+  // reload. When it tells us about a move, we tick the engine, which picks the
+  // move up from our remote. If the server turns down one of our moves, it's
+  // not on the server's board, so we take it off ours too.
+  function server() {
+    const query = new URLSearchParams(window.location.search);
+    const scheme = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return query.get('server') || `${scheme}//${window.location.host}`;
+  }
+
+  function hear(connection, message) {
+    const $ = window.jQuery;
+    if (connection !== remote) {
+      return;
+    }
+
+    if (message.type === 'room') {
+      ({ variant, first, side } = connection);
+      board = Object.assign(Remote.board(connection), { level, flip });
+      input = [];
+      picked = undefined;
+      hint = undefined;
+      $('#error').text('');
+      try {
+        window.localStorage.setItem('nine-holes-room', JSON.stringify({
+          code: connection.code,
+          token: connection.token,
+        }));
+      } catch (e) {
+        // Keep playing.
+      }
+    } else if (message.type === 'move') {
+      tick();
+    } else if (message.type === 'presence') {
+      const here = message.present[AI.opponent(connection.side)];
+      $('#error').text(here ? '' : 'Your opponent isn\'t here. Share this page\'s link to invite them.');
+    } else if (message.type === 'disconnected') {
+      $('#error').text('We lost the server. Trying again...');
+    } else if (message.type === 'error') {
+      $('#error').text(message.message);
+      if (board.history.length > connection.history.length) {
+        board = Object.assign(Remote.board(connection), { level, flip });
+        picked = undefined;
+      }
+    }
+
+    draw();
+  }
+
+  // Changing modes or starting over closes our connection. If we're still
+  // playing online, we open a new one and send the server a `message`, asking
+  // for a new room or a seat in an old one.
+  function connect(message) {
+    if (remote) {
+      Remote.close(remote);
+      remote = undefined;
+    }
+
+    if (mode === 'online') {
+      remote = Remote.create(() => new window.WebSocket(server()), hear);
+      Remote.send(remote, message);
+    }
+  }
+
+  function invite(code) {
+    let saved = {};
+    try {
+      saved = JSON.parse(window.localStorage.getItem('nine-holes-room')) || {};
+    } catch (e) {
+      // Join as someone new.
+    }
+
+    mode = 'online';
+    connect(saved.code === code ? { type: 'rejoin', code, token: saved.token } : { type: 'join', code });
+  }
+
+  // The player we tick the engine for is always the one whose turn it is. When
+  // that's the AI, or the tutor in a lesson, we give the browser half a second
+  // to draw the last move before we tick the engine again, and we ignore the
+  // player while the AI is `thinking`.
+  //
   // We also include a reset button that clears everything out and starts the
-  // game over.
+  // game over. If the AI moves first, it starts thinking right away.
+  function players() {
+    const seats = Engine.modes[mode];
+    return side === 'x' ? seats : { x: seats.y, y: seats.x };
+  }
+
   function reset() {
-    board = Board.create();
+    const settings = {
+      variant: Board.variants[variant],
+      level,
+      strategy,
+      players: players(),
+      flip,
+      first,
+    };
+
+    stop();
+    shown = undefined;
     input = [];
     picked = undefined;
+    hint = undefined;
+    clearTimeout(analyzing);
+    analysis = undefined;
+    coach = undefined;
+    started = Date.now();
+    Renderer.review(board, analysis);
+
+    try {
+      board = Engine.create(Object.assign({}, settings, { position }));
+    } catch (e) {
+      window.jQuery('#error').text(e.message);
+      position = undefined;
+      board = Engine.create(settings);
+    }
+
+    connect({
+      type: 'create',
+      variant,
+      first,
+      side,
+    });
+  }
+
+  function restart() {
+    reset();
+    draw();
+    think();
   }
 
   function onReset(element) {
     element.addClass('picked');
   }
 
+  // Lessons and puzzles are games against the tutor or the AI, starting from
+  // their own positions. Starting one sets everything else up to match, so the
+  // buttons show what's being played. The reset button starts a lesson or a
+  // puzzle over, and any of the other buttons that start a new game leave it
+  // behind.
+  function teach(created) {
+    mode = 'single';
+    [side] = Engine.humans(created);
+    variant = Renderer.variant(created);
+    ({ first } = created);
+    position = undefined;
+    reset();
+    board = created;
+    draw();
+    think();
+  }
+
   function offReset(element) {
     element.removeClass('picked');
+    position = undefined;
+    if (board.lesson || board.puzzle) {
+      teach(Engine.create(Engine.settings(board)));
+    } else {
+      restart();
+    }
+  }
+
+  // The learn button starts the first lesson, and each time it's picked after
+  // that, the next one. The puzzle button works the same way.
+  function onLearn(element) {
+    element.addClass('picked');
+  }
+
+  function offLearn(element) {
+    const { lessons } = Tutorial;
+    const index = lessons.findIndex(lesson => lesson.name === board.lesson) + 1;
+    element.removeClass('picked');
+    teach(Tutorial.create(lessons[index % lessons.length].name, { flip }));
+  }
+
+  function onPuzzle(element) {
+    element.addClass('picked');
+  }
+
+  function offPuzzle(element) {
+    const { list } = Puzzles;
+    const index = list.findIndex(puzzle => puzzle.id === board.puzzle) + 1;
+    element.removeClass('picked');
+    if (list.length > 0) {
+      teach(Puzzles.create(list[index % list.length], { flip }));
+    }
+  }
+
+  // If the page opens with a position in its URL, we start from there. When
+  // the URL changes, we start over from the new position. A position we can't
+  // read gets an error message and a new game instead. The reset button always
+  // starts from the beginning, and so does a link to the start of a new game.
+  function hashed() {
+    return decodeURIComponent(window.location.hash.slice(1));
+  }
+
+  function follow() {
+    const [, key = 'classic', text] = /^(?:(\w+):)?(.*)$/.exec(hashed());
+    if (!text) {
+      return;
+    }
+
+    variant = key in Board.variants ? key : variant;
+    position = text.replace(/_/g, ' ');
+
+    const fresh = ['x', 'y'].map(turn => Board.toString(Engine.create({
+      variant: Board.variants[variant],
+      first: turn,
+    })));
+    if (fresh.indexOf(position) > -1) {
+      position = undefined;
+    }
+  }
+
+  function linked() {
+    if (hashed() !== address(shown || board)) {
+      follow();
+      restart();
+    }
+  }
+
+  // The undo and redo buttons step backwards and forwards through the game.
+  // If the AI was thinking about its reply, it stops. If we end up on the AI's
+  // turn, it starts thinking again. Moves made online or by correspondence are
+  // final, so there's no taking them back.
+  function step(direction) {
+    if (board.room || Engine.mode(board) === 'correspondence') {
+      return;
+    }
+
+    stop();
+    shown = undefined;
+    board = direction(board);
+    input = [];
+    picked = undefined;
+    hint = undefined;
+    clearTimeout(analyzing);
+    analysis = undefined;
+    coach = undefined;
+    Renderer.review(board, analysis);
+    draw();
+    think();
+  }
+
+  function onUndo(element) {
+    element.addClass('picked');
+  }
+
+  function offUndo(element) {
+    element.removeClass('picked');
+    step(Engine.undo);
+  }
+
+  function onRedo(element) {
+    element.addClass('picked');
+  }
+
+  function offRedo(element) {
+    element.removeClass('picked');
+    step(Engine.redo);
+  }
+
+  // Picking a move in the move list shows what the board looked like right
+  // after it was made. It doesn't change the game. The next time the player
+  // picks a space on the board, we go back to showing where things stand now.
+  function offMove(element, e) {
+    const index = parseInt(e.target.getAttribute('data-index'), 10);
+    if (Number.isNaN(index)) {
+      return;
+    }
+
+    shown = Engine.rewind(board, index + 1);
+    suggested = undefined;
+    if (shown.history.length === board.history.length) {
+      shown = undefined;
+    }
+
+    draw();
+  }
+
+  // The analyze button looks back at a finished game. Variants without a
+  // tablebase take a while, so we analyze one position at a time and give the
+  // browser a turn in between. The list fills in as we go. Starting over, or
+  // taking a move back, stops it. Picking a move in the analysis shows the
+  // board it was played on, with the AI's move marked, or the move itself if
+  // it was the best one.
+  function analyze(progress) {
+    analysis = progress;
+    Renderer.review(board, analysis, shown ? shown.history.length : undefined);
+    if (!Analysis.done(analysis)) {
+      analyzing = setTimeout(() => analyze(Analysis.next(analysis)), 0);
+    }
+  }
+
+  function onAnalyze(element) {
+    element.addClass('picked');
+  }
+
+  function offAnalyze(element) {
+    element.removeClass('picked');
+    if (!board.result) {
+      window.jQuery('#error').text('Finish the game, then analyze it.');
+      return;
+    }
+
+    window.jQuery('#error').text('');
+    clearTimeout(analyzing);
+    analyze(Analysis.start(board));
+  }
+
+  function offReview(element, e) {
+    const index = parseInt(e.target.getAttribute('data-index'), 10);
+    if (!analysis || Number.isNaN(index)) {
+      return;
+    }
+
+    const entry = analysis.entries[index];
+    shown = Engine.rewind(board, index);
+    suggested = {
+      move: entry.better || entry.move,
+      kind: 'neutral',
+      label: entry.better ? 'Better' : 'Best',
+    };
+
+    Renderer.review(board, analysis, index);
+    draw();
+  }
+
+  // The level button cycles through the AI's levels of difficulty. Changing
+  // levels in the middle of a game would be confusing, so it starts a new game
+  // too.
+  function onLevel(element) {
+    element.addClass('picked');
+  }
+
+  function offLevel(element) {
+    const levels = Object.keys(AI.levels);
+    level = levels[(levels.indexOf(level) + 1) % levels.length];
+    element.removeClass('picked');
+    restart();
+  }
+
+  // The strategy button does the same for the AI's strategies. That includes
+  // any a script has registered since the page loaded, since we look through
+  // the list every time.
+  function onStrategy(element) {
+    element.addClass('picked');
+  }
+
+  function offStrategy(element) {
+    const names = Strategies.list.map(other => other.name);
+    strategy = names[(names.indexOf(Strategies.find(strategy).name) + 1) % names.length];
+    element.removeClass('picked');
+    restart();
+  }
+
+  // The hint button asks the AI what it would do in our place. We only give
+  // hints to people, on their turn, in a game that's still going.
+  function onHint(element) {
+    element.addClass('picked');
+  }
+
+  function offHint(element) {
+    element.removeClass('picked');
+    if (shown || thinking || board.result || board.players[board.turn] !== 'human') {
+      return;
+    }
+
+    hint = AI.hint(board, board.turn, Engine.dice(board));
+    draw();
+  }
+
+  // The variant button cycles through the variants we know. Positions from one
+  // variant don't make sense in another, so it always starts from the
+  // beginning.
+  function onVariant(element) {
+    element.addClass('picked');
+  }
+
+  function offVariant(element) {
+    const variants = Object.keys(Board.variants);
+    variant = variants[(variants.indexOf(variant) + 1) % variants.length];
+    position = undefined;
+    element.removeClass('picked');
+    restart();
+  }
+
+  // The mode button works the same way. It cycles between playing the AI,
+  // playing another person, watching the AI play itself, and playing someone
+  // online in a new room.
+  function onMode(element) {
+    element.addClass('picked');
+  }
+
+  function offMode(element) {
+    const modes = Object.keys(Engine.modes);
+    mode = modes[(modes.indexOf(mode) + 1) % modes.length];
+    element.removeClass('picked');
+    restart();
+  }
+
+  // The side and first buttons swap between X and Y. Both start a new game,
+  // and if that means the AI moves first, it makes its opening move right away.
+  function onSide(element) {
+    element.addClass('picked');
+  }
+
+  function offSide(element) {
+    side = AI.opponent(side);
+    element.removeClass('picked');
+    restart();
+  }
+
+  function onFirst(element) {
+    element.addClass('picked');
+  }
+
+  function offFirst(element) {
+    first = AI.opponent(first);
+    element.removeClass('picked');
+    restart();
+  }
+
+  // Opening a correspondence token, from a link or pasted in the text box,
+  // puts us in the game it's for, playing whoever's turn it is. If it's for the
+  // game we're already playing, it has to be the next move in it. Either way,
+  // `Mail.parse` throws an error that says what's wrong with a bad one.
+  function open(token) {
+    const opened = Mail.parse(token);
+    if (Engine.mode(board) === 'correspondence' && board.seed === opened.seed) {
+      Mail.parse(token, board);
+    }
+
+    variant = Renderer.variant(opened);
+    mode = 'correspondence';
+    side = opened.turn;
+    ({ first } = opened);
+    position = undefined;
     reset();
-    Renderer.invalidate(board, picked);
+    board = Object.assign(opened, {
+      level,
+      flip,
+      players: { [side]: 'human', [AI.opponent(side)]: 'mail' },
+    });
   }
 
-  // Finally, we wire up click handlers for the board spaces and the reset
-  // button. Then we initialize the game and render the starting board.
+  // The save button writes down the game we're playing. It puts the record in
+  // the text box so it can be copied, and downloads it as a file. The load
+  // button reads a record, or a correspondence token, from the text box and
+  // picks up the game from where it left off. The move list, undo, and redo
+  // all work on a loaded game, so they're how we replay it. If the record
+  // can't be read, we say why.
+  function onSave(element) {
+    element.addClass('picked');
+  }
+
+  function download(name, text, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  function offSave(element) {
+    const $ = window.jQuery;
+    const record = Record.stringify(board);
+
+    element.removeClass('picked');
+    $('#record').unwrap().value = record;
+    $('#error').text('');
+    download('nine-holes.pgn', record, 'text/plain');
+  }
+
+  function onLoad(element) {
+    element.addClass('picked');
+  }
+
+  function offLoad(element) {
+    const $ = window.jQuery;
+    element.removeClass('picked');
+
+    if (board.room) {
+      $('#error').text('Online games can\'t be swapped for a record.');
+      return;
+    }
+
+    try {
+      const text = $('#record').unwrap().value;
+      if (Mail.find(text)) {
+        open(Mail.find(text));
+      } else {
+        const { board: loaded } = Record.parse(text, {
+          variant: board.variant,
+          level,
+          strategy,
+          players: players(),
+          flip,
+          seed: board.seed,
+        });
+        variant = Renderer.variant(loaded) || variant;
+        reset();
+        board = loaded;
+      }
+      $('#error').text('');
+    } catch (e) {
+      $('#error').text(e.message);
+      return;
+    }
+
+    draw();
+    think();
+  }
+
+  // The export buttons download our stats, either as JSON or as CSV.
+  function onExport(element) {
+    element.addClass('picked');
+  }
+
+  function offJson(element) {
+    element.removeClass('picked');
+    download('nine-holes-stats.json', Stats.json(stats), 'application/json');
+  }
+
+  function offCsv(element) {
+    element.removeClass('picked');
+    download('nine-holes-stats.csv', Stats.csv(stats), 'text/csv');
+  }
+
+  // Flipping the board doesn't change the game, so we can turn it on and off
+  // whenever we like.
+  function onFlip(element) {
+    element.addClass('picked');
+  }
+
+  function offFlip(element) {
+    flip = !flip;
+    element.removeClass('picked');
+    board = Object.assign(Board.clone(board), { flip });
+    draw();
+  }
+
+  // When the page loads, we pick up the saved game where it left off. If the
+  // save can't be read, we throw it away and start over. A link to a different
+  // position wins out over the saved game, but we still keep the saved
+  // settings.
+  //
+  // Stats get the same treatment, except we try much harder not to lose them.
+  // If they can't be read, we leave them alone and start counting from zero.
+  function restore() {
+    let text;
+
+    try {
+      const scores = window.localStorage.getItem('nine-holes-stats');
+      text = window.localStorage.getItem('nine-holes');
+      stats = scores ? Stats.parse(scores) : Stats.create();
+    } catch (e) {
+      stats = Stats.create();
+    }
+
+    try {
+      if (text) {
+        const { settings, board: saved } = Save.parse(text);
+        ({
+          variant,
+          level,
+          strategy,
+          mode,
+          side,
+          first,
+          flip,
+          started,
+        } = Object.assign({
+          variant,
+          level,
+          strategy,
+          mode,
+          side,
+          first,
+          flip,
+          started,
+        }, settings));
+        return saved;
+      }
+    } catch (e) {
+      window.localStorage.removeItem('nine-holes');
+    }
+
+    return undefined;
+  }
+
+  // The board works with a keyboard too. The arrow keys move between spaces,
+  // the same way they look on the screen, even when the board is flipped. Enter
+  // or Space picks up a piece and puts it down, just like clicking does, and
+  // Escape puts a picked piece back. U takes back a move from anywhere on the
+  // page, as long as we're not typing a record. D shows and hides the debug
+  // view. Tab moves between the board and the buttons, and Enter or Space
+  // presses a button.
+  function focus(id, key) {
+    const arrows = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, 1],
+      ArrowDown: [0, -1],
+    };
+    const flipped = Renderer.bottom(board) === 'y' ? -1 : 1;
+    const [across, up] = arrows[key].map(delta => delta * flipped);
+    const file = board.files[board.files.indexOf(id.charAt(0)) + across];
+    const rank = board.ranks[board.ranks.indexOf(id.slice(1)) + up];
+    const next = document.getElementById(file && rank ? file + rank : id);
+
+    document.getElementById(id).setAttribute('tabindex', '-1');
+    next.setAttribute('tabindex', '0');
+    next.focus();
+  }
+
+  function onKey(e) {
+    const { id, tagName } = e.target;
+    const space = id in board.layout;
+
+    if (tagName === 'TEXTAREA' || tagName === 'INPUT' || e.ctrlKey || e.metaKey || e.altKey) {
+      return;
+    }
+
+    if (e.key === 'u' || e.key === 'U') {
+      step(Engine.undo);
+    } else if (e.key === 'd' || e.key === 'D') {
+      debugging = !debugging;
+      window.jQuery('#debug')[debugging ? 'addClass' : 'removeClass']('on');
+    } else if (space && e.key.indexOf('Arrow') === 0) {
+      focus(id, e.key);
+    } else if (space && (e.key === 'Enter' || e.key === ' ')) {
+      choose(id);
+    } else if (e.key === 'Escape' && picked) {
+      input = [];
+      picked = undefined;
+      draw();
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+  }
+
+  // Finally, we wire up click handlers for the board spaces and the buttons.
+  // Then we restore the saved game, or start a new one, and render the board.
+  // If the URL has a room in it, or we were playing online when the page
+  // closed, we take our seat in that room instead. A URL with a correspondence
+  // token opens that game, unless it's the game we saved, which happens when
+  // the page reloads.
   function play() {
     const $ = window.jQuery;
 
     $('#reset').click(onReset, offReset);
-    Object.keys(board.layout).forEach(id => $(`#${id}`).click(onBoard, offBoard));
+    $('#undo').click(onUndo, offUndo);
+    $('#redo').click(onRedo, offRedo);
+    $('#level').click(onLevel, offLevel);
+    $('#strategy').click(onStrategy, offStrategy);
+    $('#variant').click(onVariant, offVariant);
+    $('#hint-button').click(onHint, offHint);
+    $('#mode').click(onMode, offMode);
+    $('#side').click(onSide, offSide);
+    $('#first').click(onFirst, offFirst);
+    $('#flip').click(onFlip, offFlip);
+    $('#save').click(onSave, offSave);
+    $('#load').click(onLoad, offLoad);
+    $('#json').click(onExport, offJson);
+    $('#csv').click(onExport, offCsv);
+    $('#history').click(undefined, offMove);
+    $('#analyze').click(onAnalyze, offAnalyze);
+    $('#review').click(undefined, offReview);
+    $('#learn').click(onLearn, offLearn);
+    $('#puzzle').click(onPuzzle, offPuzzle);
+    $('#spaces').click(onBoard, offBoard, onDrag, cancelBoard);
+    document.onkeydown = onKey;
+    window.onhashchange = linked;
+
+    const saved = restore();
+    follow();
+    Renderer.totals(stats.levels);
+
+    const letter = Mail.find(window.location.search);
+    if (letter && !(saved && Mail.stringify(saved) === letter)) {
+      board = saved || board;
+      try {
+        open(letter);
+        draw();
+        return;
+      } catch (e) {
+        window.jQuery('#error').text(e.message);
+      }
+    }
 
-    reset();
-    Renderer.invalidate(board, picked);
+    const code = new URLSearchParams(window.location.search).get('room') || (saved && saved.room);
+    if (code) {
+      position = undefined;
+      invite(code.toUpperCase());
+      board = Engine.create({
+        variant: Board.variants[variant],
+        level,
+        players: players(),
+        flip,
+        first,
+        room: code.toUpperCase(),
+      });
+      draw();
+      return;
+    }
+
+    const same = saved && variant === Renderer.variant(saved);
+    if (same && (!position || position === Board.toString(saved))) {
+      board = saved;
+      draw();
+      think();
+    } else {
+      restart();
+    }
   }
 
-  window.onload = play;
+  if (typeof window !== 'undefined') {
+    window.onload = play;
+  }
 
 // Because our game has state, it's not just pure functions any more, we're
 // using an [IIFE][] (Immediately Invoked Function Expression) to avoid
-// exposing that state to the outside world.
+// exposing that state to the outside world. We also only start the game when
+// there's a window to play it in.
 //
 //
 // [IIFE]: https://developer.mozilla.org/en-US/docs/Glossary/IIFE "Various (MDN): IIFE"
@@ -894,45 +1976,104 @@ Engine.tick = (board, player, start, end) => {
     return this;
   };
 
-  Fn.prototype.click = function click(start, end) {
-    const self = this;
+  Fn.prototype.text = function text(value) {
+    if (this.element) {
+      this.element.textContent = value;
+    }
+
+    return this;
+  };
 
+  Fn.prototype.attr = function attr(name, value) {
     if (this.element) {
-      if ('ontouchstart' in document.documentElement === false) {
-        this.element.onmousedown = function onmousedown(mouseDownEvent) {
-          if (start) {
-            start(self, mouseDownEvent);
-          }
-          document.onmousemove = function onmousemove(e) {
-            e.preventDefault();
-          };
-          document.onmouseup = function onmouseup(e) {
-            if (end) {
-              end(self, e);
-            }
-            document.onmousemove = undefined;
-            document.onmouseup = undefined;
-          };
-        };
-      } else {
-        this.element.ontouchstart = function ontouchstart(touchStartEvent) {
-          if (start) {
-            start(self, touchStartEvent);
+      this.element.setAttribute(name, value);
+    }
+
+    return this;
+  };
+
+  Fn.pointers = ['pointermove', 'pointerup', 'pointercancel'];
+
+  // Clicks come from [Pointer Events][pe], so mice, pens, and fingers all work
+  // the same way, even on a laptop with a touch screen. When a press starts on
+  // our element, we listen to the whole document until it ends, so we hear
+  // about it even if the pointer wanders off. Moving while pressed calls
+  // `drag`, which is how pieces get dragged around. Once the press ends, or the
+  // browser cancels it to scroll the page, we stop listening. A press that gets
+  // cancelled calls `cancel` instead of `end`, so whatever `start` set up can
+  // be cleaned up. Calling `click` again replaces the old listener instead of
+  // adding another one.
+  //
+  // Our buttons are plain elements, so we have to make them work from the
+  // keyboard ourselves. Pressing Enter or Space while one has focus calls
+  // `start` and then `end`, just like a quick click would. Keys pressed on
+  // something inside our element, like a space on the board, are left for
+  // whoever handles those.
+  //
+  // [pe]: https://developer.mozilla.org/en-US/docs/Web/API/Pointer_events "Various (MDN): Pointer events"
+  Fn.prototype.click = function click(start, end, drag, cancel) {
+    const self = this;
+    const { element } = this;
+
+    if (!element) {
+      return this;
+    }
+
+    if (element.unclick) {
+      element.unclick();
+    }
+
+    function onpointerdown(downEvent) {
+      if (downEvent.button > 0) {
+        return;
+      }
+
+      function onpointer(e) {
+        if (e.type === 'pointermove') {
+          e.preventDefault();
+          if (drag) {
+            drag(self, e);
           }
-          document.ontouchmove = function ontouchmove(e) {
-            e.preventDefault();
-          };
-          document.ontouchend = function ontouchend(e) {
-            if (end) {
-              end(self, e);
-            }
-            document.ontouchmove = undefined;
-            document.ontouchend = undefined;
-          };
-        };
+          return;
+        }
+
+        Fn.pointers.forEach(type => document.removeEventListener(type, onpointer));
+        if (e.type === 'pointerup' && end) {
+          end(self, e);
+        } else if (e.type === 'pointercancel' && cancel) {
+          cancel(self, e);
+        }
+      }
+
+      if (start) {
+        start(self, downEvent);
       }
+
+      Fn.pointers.forEach(type => document.addEventListener(type, onpointer));
     }
 
+    function onkeydown(e) {
+      if (e.target !== element || (e.key !== 'Enter' && e.key !== ' ')) {
+        return;
+      }
+
+      e.preventDefault();
+      if (start) {
+        start(self, e);
+      }
+      if (end) {
+        end(self, e);
+      }
+    }
+
+    element.addEventListener('pointerdown', onpointerdown);
+    element.addEventListener('keydown', onkeydown);
+    element.unclick = () => {
+      element.removeEventListener('pointerdown', onpointerdown);
+      element.removeEventListener('keydown', onkeydown);
+      element.unclick = undefined;
+    };
+
     return this;
   };
 
@@ -944,7 +2085,9 @@ Engine.tick = (board, player, start, end) => {
     return new Fn(selector);
   }
 
-  window.jQuery = root;
+  if (typeof window !== 'undefined') {
+    window.jQuery = root;
+  }
 }());
 
 // Design <abbr title="and">&amp;</abbr> dev by [Frank Mitchell][]. Styled with
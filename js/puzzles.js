@@ -0,0 +1,50 @@
+// These are the puzzles for **Nine Holes**. See `Puzzles.schema` in
+// `js/core.js` for what goes in one. Every puzzle here has to pass
+// `Puzzles.validate`, which checks its goal against the AI's search, so run
+// `npm test` after adding one.
+
+/* global Puzzles */
+(function puzzles(list) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = list;
+  } else {
+    Puzzles.learn(list);
+  }
+}([
+  {
+    id: 'busy-piece',
+    title: 'A Busy Piece',
+    position: 'yy1/yxx/2x/3/3 x 1 4',
+    win: 1,
+  },
+  {
+    id: 'other-side',
+    title: 'The Other Side',
+    position: '3/y1x/xy1/1y1/x2 y 1 4',
+    win: 1,
+  },
+  {
+    id: 'two-threats',
+    title: 'Two Threats',
+    position: '1y1/y1x/1y1/x2/x2 x 0 3',
+    win: 2,
+  },
+  {
+    id: 'quiet-start',
+    title: 'A Quiet Start',
+    position: '2y/1yx/1y1/1x1/2x x 0 3',
+    win: 2,
+  },
+  {
+    id: 'counterattack',
+    title: 'Counterattack',
+    position: '2y/2y/2x/yx1/x2 y 1 3',
+    win: 2,
+  },
+  {
+    id: 'long-way-round',
+    title: 'The Long Way Round',
+    position: 'yy1/xyx/3/3/2x x 1 3',
+    win: 3,
+  },
+]));
@@ -0,0 +1,508 @@
+// This file was generated by `npm run solve`. Don't edit it by hand.
+//
+// It's the endgame tablebase for **Nine Holes**. See `AI.learn` in
+// `js/core.js` for how to read it.
+
+/* global AI */
+(function tablebase(results) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = results;
+  } else {
+    AI.learn(results);
+  }
+}([
+  '5=5=5=3=3=1=3=14143=1=3=3=3=1=3=3=1==1=3=3.01=1=1==1=3=33=1=3=143=141=3=3=3=3=3=1=1=3=1=12121111110.',
+  '12121=1=1=121212121=1=111=111111==1=11===1===1==1=11==121=1211==1=3=1=11==3==1====1==3=1=3.01=1=1==3',
+  '=1=3==111===11===1=11=====1112121===111=1=3===113====11===.01111112121=1.01111111=3=3=14143=3=3=1=1=',
+  '1=3=3=3=3=121=121111110.1=12121212121=1=121=1=111=1111111====1==111=11=====1==1=1212111===3=3==1==1=',
+  '111=====12121=1111110.121=1212121=12121=1=1=111=1111.0.0.0...0.0.0.0.0.011==111=11==1=11===1=321=321',
+  '=13=1411==14111===1=5==1=3=31=11=====11=1111=======11=12121=11==3=3====11=1=11======111=11111=====11',
+  '=3=121=3=121143===11141=111===5==3=1=31=12121111==3=3==1=11=1111====1=12123=3=1==3=3=1.01=1=1==3=3=1',
+  '==1=11==1=======11=1=11112121===1=111=3===1=3=====11=1.011111121=121.01111111===111==========11111=1',
+  '121=121===113=1=1===3======1111=1=======11111111=3=3=1=1212114141=1=3=====11115==3=3=1121=1211==113=',
+  '1=11==3==1===111121=123=1=3=.0111111=12121.011111112121===11111=3===113====111=112121=1=3=3=..0.0.0.',
+  '=5=5=55=5=5==========5=====5=53=3=1==1=1=10.3=1=3=3=3=1=3=3=1======1===1=1=1=3=3=1=3=1=341=3=341=31=',
+  '1=1==1=3=3=====1=3===1=3=3=33=1=3==1=1=10.1=3=3=3=3=3=1=1=3======1===1=11111110.1=1=111=111111===1==',
+  '=1==1=11===1=321=321=13=1=11==3==1====1====1=3=3=3=1=3=3=1=3=141=3=3=3411=1=1==3=1=3=====3=1===3=1=3',
+  '=3==11===1=11=====11=3=121=3=1211=3===113====11======3=1=31111112121=1=1=12121=12121=1=1111111=1=1=1',
+  '1=3=3==1=1=10.3=3=1=1=1=3=3=3=3======1===1=11111110.1=1=111=1111=1==111=11=====1===1=321=321=13=3==1',
+  '==1=111========1=3=31111110.1=1=111=1111=1=321=321=15==1=3=3===11=1111=======1=3=121=3=1213=3====11=',
+  '1=11=======3=1=3=3=121=3=1215==3=1=33=3==1=11=1111=====54141=33=3=1==5=3=3=1=3=3=3=3=3=1=141411=1=1=',
+  '=3=3=1=====3=3===3=3=1=1==1=======11=1=111=3=3=1=121211=3===1=3=====11=1===3=3=111111121=121=1=121=1',
+  '=121=12121111111=1=1=11==========11111=1=3=3=1=121213=1=1===3======111===3=3=1=3=3=1=121215==3=3=13=',
+  '1=11==3==1===111=541=3413=1=3==5111111=12121=1=1=121=1=1212121111111=1=1=11=3===113====111=1=5=34141',
+  '1=3=3==50.0.0.0.0.0.5=5=5=........5=5=5=3=14143=1=3=3=3=1=3=3=1=......3=1414....3=1=..3=3=1=3=.01=1=',
+  '1==1=3=3.01=1=1=143=141=3=3=3=3=3=1=1=3=......143=14....1=3=..3=3=3=1=12121=1=1=121212121=1=111=1111',
+  '....1212..1=1=1212..1=1=1=121=1211==1=3=1=11==3==1====1=121=123=1=3=.01=1=1==3=1=3.01=1=1=12121===11',
+  '1=1=3===113====11===12121=1=3=3=.011111114143=3=3=1=1=1=3=3=3=3=......14143=....3=3=..1=1=3=3=1=1212',
+  '1212121=1=121=1=111=1111....1=12..1212121=..1=1=1=1=1212111===3=3==1==1=111=====1=12123=3=1=121=1212',
+  '121=12121=1=1=111=1111....121=..12121=12..1=1=1=.0.0.0.0.0.0...0.0.03=1411==14111===1=5==1=3=33=1414',
+  '5=1=12121=11==3=3====11=1=11====1=12123=3=1=143===11141=111===5==3=1=3143=145=1=12123=3=1=.01=1=1==3',
+  '=3=1.01=1=1=12121===1=111=3===1=3=====11=112121=1=3=3=.0111111121=121===113=1=1===3======111121=123=',
+  '1=3=14141=1=3=====11115==3=3=114143=5=121=123=1=3=.011111112121=1=3=3=5=5=5==========5=====5=5......',
+  '5=5=5=.=.=====.=========3=1=3=3=3=1=3=3=1======1===1=1....3=1=..3=3=1=3=.=======1=1=1==1=3=3=====1=3',
+  '===1=3=3=31=1=1=======1=3=3=3=3=3=1=1=3======1===1=1....1=3=..3=3=3=1=.=======1=1=111=1111..1=1=1=3=',
+  '1=11==3==1====1====1=3=33=1=3===1=1=1==3=1=3=====3=1===3=1=3=31=1=1=======1=3===113====11======3=1=3',
+  '1=3=3===111111=1=1=13=3=1=1=1=3=3=3=3======1===1=1....3=3=..1=1=3=3=.=======1=1=111=1111..1=1=1=3=3=',
+  '=1==1=111========1=3=33=3=1===1=1=111=1111..1=1=1=5==1=3=35=3=3====11=1=11=======3=1=33=3=1===5==3=1',
+  '=35=3=3=1==51=1=1==3=3=1=====3=3===3=3=1=11=1=1=======1=3===1=3=====11=1===3=3=11=3=3===111111=1=1=1',
+  '3=1=1===3======111===3=3=13=1=3===5==3=3=15=3=1=3==5111111=1=1=11=3=3==53=3=1=3=14143=1=3=3=3=1=3=3=',
+  '1=3=3=.0=1=1110.3=.03=143=.0143=.05=1==11==1113=33333==33=3333=33333=31414143=33335=3=3==33=3=33=333',
+  '3=1=1==1=1=10.1=1=3=3=3=14141=1=3=3==13==1=11111110.1412111211111===3=3=3=3=1=1===3====13==1=13=1=1=',
+  '==3=3=3=3=1=3=3===3=3=111===113==1=11==3=3111212143=111=1=3===113=3==11==3==.03=11=1.01===.0=311211=',
+  '=111.01===.0143=11.01=1==3111=111111=121=1=1=1=121=1=121=1=1111111=1=1=11=3=1==1=1=10.3=141=141=1=3=',
+  '3=1=3=3==13==1=11111110.1412111211113=3=1=1=1===3=3===3=3==1===1=13=3=3=3=1=1=1===3=3=3=3===1111110.',
+  '1414111411113=3==13==1=13=3=3=3=3=111=11111=====1133=121=3=121143=3=11141=111===3=33=1=33311211==111',
+  '1433111=3=3=3==11=1=11====3=33=1=33=3=1=3=3=1=113=1====3=311=1=1111212143=1=111=3=3=1=3====311=13=.0',
+  '==1===.011=1.0=31==1112111.0143=.01===1=.0111==31=11111111=1=121=1=1=1=1=1=1=12121111111=1=1=11=1=3=',
+  '====1111111133=3=1=1212114141=1=3=3===11113=33=3=1331==111211114331=113=1=1===3=3====1113=33=3=13=1=',
+  '3=3=111111=1111111=1=111=1=121112111111111=1=1.01===.01===11.0111==31111.01=1=1=0.0.0.0.0.0.3=3=1==1',
+  '=1=10.3=1=3=3=3=1=3=3=1======1===1=1=1=1110.5=1==11==1113==33=3333=33333=3=5=341=341415=3=3==33=3=33',
+  '=333===5=3=3=1=1=10.3=3==13==1=13====13==1=13=3===3===113==1=11==3=311=3=121=341211=3===113=3==11==3',
+  '===3=1=3=311211==1111==3111==1=1=121=1=121=1=1=1412141=1=1=1=1=1=1=10.3=3==13==1=13=3==1===1=13=3=3=',
+  '==33=121=3=1213=33=1=33=33=1=33=3=1====3=311=1=111=3=341=121211=3=3=1=3====311=1===3=3=1=31==1112111',
+  '1==31=11=1=1=1=1=1=1=12121=1414121=1=1=1=133=3=1=121213=33=3=13=33=3=13=11=1=111=1=1211121=141212111',
+  '=1=1=11==311111=0.0.0.0.3=14143=1=3=3=3=1=3=3=1=......3=1414....3=1=..3=3=1=3=3=.03=143=.0143=.05=1=',
+  '=11==111....3=.0..3=14.014..5=1=1=1414143=33335=3=3==33=3=33=3331414145=3=3=1=1=3=3=3=14141=1=3=3==1',
+  '3==1=1....1=1=..3=3=1414..3=3=3=141211121111..1412123=1=1===3=3=3=3=1=3=3===3=3=1=3=3=1212143=111=1=',
+  '3===113=3==11==31212141=3=3=.01===.0143=11.01=1==3111=.01=141=111111=1=1=13=141=141=1=3=3=1=3=3==13=',
+  '=1=1....3=14..1=141=3=..3=3=3=141211121111..1412123=3=3=3=1=1=1===3=3=3=3===3=3=1=3=141411141111..14',
+  '14143=3=3=3=3=143=3=11141=111===3=33=1=3143=143=1433111=143=3=1=3=1212143=1=111=3=3=1=3====311=11212',
+  '141=3=3=.0143=.01===1=.0111==31=11.0141=1=111111=1=1=114141=1=3=3===11113=33=3=114143=3=14331=11143=',
+  '1=3=3=11111111=1=1.01=1=1=3=1=3=3=3=1=3=3=1======1===1=1....3=1=..3=3=1=3=.=======5=1==11==111..5=1=',
+  '1=5=3=3==33=3=33=333===5=3=35=3=3===3=3==13==1=1..3=3=3=3=3===3=3=1=3===113=3==11==3===3=1=31=3=3===',
+  '1==3111=1==1=1=1=13=3==13==1=1..3=3=3=3=3=3===3=3=33=1=33=3=1=3=3=1=3====311=1===3=3=11=3=3===1==31=',
+  '111==1=1=1=13=33=3=13=3=11=1=1=11==1=3=3.01=1=1==1=3=33=33333==33=3333=33333=31414143=33335=3=3==33=',
+  '3=33=333.01=1=110.=3=3.01=1=11113=1=11===13==1=31=11=3121412113=1=3=1=11==3==13==31=121=1=1=1=1=1212',
+  '1=1=1=111=11111412121=141=1=1=121=1=1=1=121=110.==1=3=110.===10.=1=311121=113=11=1.01=1=1==1=1=3.01=',
+  '1=1=1=1=1====1=3=3=====1=3=3=1=3=31=1=1==3===3.0111111111=3==1=3111=11==3==1=3141212111=3=3=3==1=31=',
+  '111===3=1=1=1212121=1=1=1=1=1=111=111114141=1=1212121=1=1=1=1=1=1=12110.1===3==10.=3110.11===11=1211',
+  '3==111111=1112111=12111=111=111=11111412111=1211121=121=111=1=.0.0.0.0.0.0.0.0.0.03=110.==110.11==11',
+  '=10.=1=13=1111=11=12121111==333==1=11=1111=3==1=1212333=1=333====11=1=11=3===3=3=1=3333=1==31=121133',
+  '=111.01=1=1==1=3=1.01=1=1=1=1=1====3=1=3=3=3=3=====3=1=11=1=1==3=3==.0111111121=1211==11331=11=33==1',
+  '===111121=12331=3=331=1==33======111=3=3=3=1331=3==3121=113311=1.01111111=1=1==3=3=3=1=3=3=1=3=1=341',
+  '=3=341=31=1=1==1=3=3=====1=3===1=3=3=33==33=3333=33333=3=5=341=341415=3=3==33=3=33=333===5=3=31=1=11',
+  '0.=3=3=5=10.=3=10.41=3411=1=11=5=1=111===13==1=31=11=3=1=321=321413=1=11==3==13==31====1=3=31=1=111=',
+  '11111=1=1=1=3=110.===10.=1=311=10.=1413=11=1=11=1=1==1=1=3=3=3=1=1=34141=3=31=1=1==3=3=3=3=====1=3=3',
+  '=1=3=3=3=3=1=3=3===3=3111111412121=1=3111=11==3==1=3=1=321=321413=3==1=31=111===3====1=3=31=1=111=11',
+  '111=1=1=1=3==10.=3110.11===1=10.41=13==111=1111=111=11111=111=1==10.=1=1=1333==1=11=1111=3===34141=3',
+  '333=1==3=3=3=1=3=333=111411=1=1==1=3=1=3=341=3=3=1=3=1411=1=1==3=3=3=3=3=3=3=====3=1=1=3=3=3=1=3=3==',
+  '=3111111412121331=11=33==1===111=341=341331=3==3=3=3=3=1=33311=141111111414141=3=3=3=3.01=1=1==1=3=3',
+  '.01=1=1=1414143=33335=3=3==33=3=33=3331414145=3=3=.01=1=11121412113=1=3=1=11==3==13==31=1214123=1=3=',
+  '1412121=141=1=1=121=1=1=1=1412141=121=113=11=1.01=1=1=1=1=1==3===3141212111=3=3=3==1=31=111===3=1412',
+  '123=3=1=14141=1=1212121=1=1=1=1=1=1414121=1=12113==1111412111=1211121=121=111=1=1412121=.0.0.0.0.03=',
+  '1111=11=1212333=1=333=1==3.01=1=1=1=1=1==3=3==121=12331=3=331=3==31=1=1==1=3=3=====1=3===1=3=3=31=1=',
+  '1=======5=3=3==33=3=33=333===5=3=35=3=3===1=1=11=5=1=13=1=11==3==13==31====1=3=33=1=3===1=1=1=1=1=3=',
+  '11=1=11=1=1==3=3=3=3===3=33=3==1=31=111===3====1=3=33=3=1===1=1=1=1=1=3==111=11=111=1=1==1333=1==3=3',
+  '1=1=1==3=3=3=3=3===3331=3==3=33=1=3=143=141=3=3=3=3=3=1=1=3=3=1=1==1=1=10.1=1=3=3=3=14141=1=3=3==13=',
+  '=1=1113=1=11===13==1=31=11=3121412113=1=3=1=11==3==13==31=3=.03==111=10..03=143=3=14.0.03=1=5==11=11',
+  '=11111110.121411121111.0==113==11=.0.0==11=3211=11=11=.0.0==14113=1=.01=11=31=333=33=33=333=3333=3=3',
+  '33141414333=333=5==33=3=333=33=3==1=3=3=3=1=3===1===3==13==1=11=3===1=3=3=3=1=3=3===3=3=11111121=1=1',
+  '=1=121=1=121=1=1=1111111=1=1=11=1=3==1=1=10.143=141=1=3=1=1=3=3=3==13==1=11111110.141411141111113=11',
+  '1=11==1=11===13321=321=13=14113=14111===1=3==133=31111110.1214111211111133211=11=11411331=3=3=1=1=1=',
+  '3=====3=3=3==1===1=13=3=3=3=1=1=1=3===3=3=3===3=3==13==1=13=3=3=3=3=3==13=1=111=====3==133=33=3=1=3=',
+  '1=3=111=3==3===3=11111=11214121=3=113=1=1=3=3==3===1111=1===3===11111111=333=1=1212114141=1=3===3=11',
+  '113==333=111111111=111=11111=1=121=12111111111=111=1.03=1=====11.0.0=11==3=111112114.0.03=1=1===11.0',
+  '1=1==3111=33=1111121141=33111=.0.0==1=11==11.01=11=3111=.01=1=111111=1=121=1=1=1=1=1=1=12121111111=1',
+  '=1=11=3===1=3===3=11=13==333=11=3=3=3=0.0.0.0.0.0.3=1=3==1=1=10.1=3=3=3=3=3=1=1=3======1===1=1=1=1=1',
+  '0.3=3==13==1=111===13==1=31=11=3=1=321=321413=1=11==3==13==31====1=3=3=111=10.1=5==11=11=111=3211=11',
+  '=11=11=31==33=333=3333=3=333=3=541=341413=5==33=3=333=33=3===3=5=3==3==13==1=13===3=3==1=121=1=121=1',
+  '=1=1=1214141=1=1=1=1=1=1=10.3=3==13==1=1=13321=321=13==133=33=3==1===1=13=3=3===3==133=33=1=3==3===3',
+  '=11111=1=3=341=121213=1=1=3=3==3===111===3=3=1=333=1=121213==333=1=11111=1=121=12111=1214121=111=1=1',
+  '1==3=11111211=1==3111=11=3111==1=1=1=1=1=1=12121=1414121=1=1=1=13==333=13=0.0.0.0.143=141=3=3=3=3=3=',
+  '1=1=3=......143=14....1=3=..3=3=3=1=1=1=3=3=3=14141=1=3=3==13==1=1....1=1=..3=3=1414..3=3=3=12141211',
+  '3=1=3=1=11==3==13==31=1214123=1=3=.03=143=3=14.0.03=1=5==11=11=1.....03=..143=14.0..1=5=1=1214111211',
+  '11..1214121=.0.0==14113=1=.01=11=31=1=.0141=141414333=333=5==33=3=333=33=31414143=5=3=1=3===1=3=3=3=',
+  '1=3=3===3=3=1=3=3=3=111111=1=1=1143=141=1=3=1=1=3=3=3==13==1=1....143=..141=3=1=..3=3=3=141411141111',
+  '..1414143=14113=14111===1=3==133=33=14143=121411121111..1214121411331=143=3=3=3=1=1=1=3===3=3=3===3=',
+  '3=1=3=3=3=3=3=3=3=3=1=3=1214121=3=113=1=1=3=3==3===1111214123=1=3=14141=1=3===3=11113==333=114143=3=',
+  '111111=111=114.0.03=1=1===11.01=1==31114.01=1=141=3311141=.01=1=111111=1=1=11=3=3=3=1=3=3=3=3=3=1=1=',
+  '3======1===1=1....1=3=..3=3=3=1=.=======3=3==13==1=1..3=3=3=3=1=11==3==13==31====1=3=33=1=3===1=5==1',
+  '1=11=1..1=5=1=1=11=31=1=3=5==33=3=333=33=3===3=5=33=5=3===3===3=3=3==1=1=1=13=3==13==1=1..3=3=3=3==1',
+  '33=33=3=3=3===3=3=3=1=1=3=3==3===111===3=3=13=1=3===3==333=13==111=1=11=1==3111=1==1=1=1=13=1=121211',
+  '11110.12121=1=1=121212121=1=111=11111111110.141211121111121=1=1=1=1=12121=1=1=111=11111412121=141=1=',
+  '1=121=1=1=1=1111110.121411121111121=1112111112121=121=121=1=1=121=1=121=1=111=111112141=12141=1=121=',
+  '1=1=1=1=1=1211121111121=121211111111111111111111111111111111111111110.1414111411111=1=111=11111=1=1=',
+  '1=1=1=111=11111=1=1=1=1=1=1=1=1=12121=1=1=111111111=1=1111111112121212141=1=11111=1=1=111=1211111111',
+  '121=12111111111111111111111111111111111111121=1111111112121=1112121=11121111111111111111111111111111',
+  '111111121=1211120.0.0.0.1111110.1=1=111=11111=1=111=11111=1=1=1=1=1=111=11111=1=1=1=11111111111=1=11',
+  '1111111=1=1=11111111111111111111110.12121=1=1=121212121=1=111=1111....1212..1=1=1212..1=1=1=14121112',
+  '1111..1412121412121=141=1=1=121=1=1=1=1412141=121411121111..12141212121=121212141=12141=1=121=1=1=1=',
+  '1=1214141=121=12121211111111141411141111..1414141=1=1=1=1=1=1=1=1=1=1=12121212141=1=11111=1=1=111212',
+  '141=121=1211121111111112121=11121211111111121=1=111=1111..1=1=1=1=1=1=1=1=1=1=1=1=1=111=1=1=111=1111',
+  '11==1=11===1===1==1=11==121=1211==1=3=1=11==3==1====1=1===3=3=3=3=1=1===3====13==1=13=1=1===3=3=3=3=',
+  '1=3=3===3=121=110.==1=3=110.===10.=1=311121=113=11=1.0==113==11=.0.0==11=3211=11=11=.0.0==14113=1=.0',
+  '1=11=31=121=1112111112121=121=.0..==110.=11=.0110.=1111=.011111=1=1==1===3===3=1===3=1=3=3=31=1=1===',
+  '=3=3==================================111111=1212111==111=113=1=11===1=3213321=13=1411==14111=3=1=3=',
+  '=1=3331=1=111=11111=1=1=1=3=110.==110.11==11=10.=1=13=1111=1111=1112111112111=12110.=111113=3==1==1=',
+  '111========1=3=33=3=1=============3==111=1121=1211==113=1=11==33=1=3=111121=123=1=333=1=1===3======1',
+  '11===3=3=13=1=3===111111=111211=.0.0==1=11==11.01=11=3111=.01=1=1=1==3111=1=.01111111111=1=1=1======',
+  '==11===1===1==1=11===1=321=321=13=1=11==3==1====1====1=3=33====13==1=13=3===3=3=110.===10.=1=311=10.',
+  '=1413=11=1=111=3211=11=11=11=31=110.=11111===3=1===3=1=3=3=3=3=1=3=3===3=3=3===========1212121=1=321',
+  '3321=13==1=333=10.=1=1=1===1=3=3===13=1=11==33=1=3=111=341=3413=1=33=3===3=3=1===11121211=11=3111=11',
+  '=1=1=1=1==121=1211==1=3=1=11==3==1====1=121=123=1=3=3=1=1===3=3=3=3=1=3=3===3=3=1=3=3=121=113=11=11=',
+  '.0.0==14113=1=.01=11=31=1=.0141=12121=12121=.011111=1=1====3=3========3=1411==14111=3=1=3==1=3333=14',
+  '143=1=1=1=1=1=3=1111=112111=1212113=3=1=====121=123=1=333=1=3===1=.01=1=1=3=1=11==3==1====1====1=3=3',
+  '3=1=3===3=3===3=3=3=11=1=11=11=31=1=11===3=3=3==3==1=3333==1==3=1=33=3==1==3=1=3.01=1=1==3=1=33=111=',
+  '==113==1=11==3=3111212143=111=1=3===113=3==11==3.01=1=1==1=1=3.01=1=1=333=33=33=333=3333=3=333141414',
+  '333=333=5==33=3=333=33=31=121=1=1=121=1=121=1=111=111112141=12141=1=121=1=1=1=1=1=1=1==1===3===3=1==',
+  '=3=1=3=3=31=1=1====3=3.01=111==30.=3.01=111=12111===0.1=113===0.=1=10.11=312111=113==1.01111111=113=',
+  '=3=11=11113====3=11412121=113=3=3==3=11=1=113===1=11121111121=1=111=11111=111112141=11121211121=1=1=',
+  '111=1=12121111==3=33=1=11=1111===31=12123=331=1=1=1212121=1=1=1=1=1=111=111114141=1=1212121=1=1=1=1=',
+  '1=.0.0.0.0.0.0.0.0.0.03=33=1==1=111====3=3=1=3=33=331==31=11121=0.===13==30.11110.=1==1=1112=13=1111',
+  '3===0.11110.11===1=10.=1113=11=11=1112=13311.01=1=1==3=1=1.01=1=1=12121===11111=33=3113====111=11212',
+  '1=1=333=.01111111=1=1==3===1=3=3=3=3===3===1=11=1=1==3=3==1=33=31=3=====11=1=3=3=3=11=333==31=1=1==3',
+  '=3=3.011111112111=1133=1=3=1=3=3=1=3=141=3=3=3411=1=1==3=1=3=====3=1===3=1=3=3==113==1=11==3=311=3=1',
+  '21=341211=3===113=3==11==3===3=1=31=1=1==1=1=3=3=3=1=1=34141=3=31=1=1==3=3=3=33=333=3333=3=333=3=541',
+  '=341413=5==33=3=333=33=3===3=5=31=1=111=11111=1=1=1====3=1===3=1=3=3=3=3=1=3=3===3=3=31=111==30.=3=1',
+  '=5=30.=1410.41=31=111==1=5=1113===0.=1=10.11=3=1=10.41113==1=1111111214121=3=11=11113====3=1=3=121=3',
+  '41213=3==3=11=1=113======3=1=31=11111=11111=1=111=3=33=1=11=1111===3=34141=33=331==31=1=111=11111=1=',
+  '1=1==3=1=3=3=3=13==30.11110.=1===1410.=1=13=11=1=1=10.=1=1=13311411=1=1==3=1=1=3=3=341=3=3=141=11=1=',
+  '1==3=3=31=33=3113====111=1=3=341411=333==3111111414141=3=3=3=3===3===1=1=3=3=3=1=3=3===3=3=3=3=1=3=3',
+  '=3=3=31111112141211133=141.01=1=1==3=1=3.01=1=1=1212143=111=1=3===113=3==11==31212141=3=3=.01=1=1=14',
+  '1414333=333=5==33=3=333=33=31414143=5=3=12141=12141=1=121=1=1=1=1=1214141=1=1=1====3=3.01=111=12111=',
+  '113==11412121=113=3=3==3=11=1=113===1412123=3=1=12141=11121211121=1=1=111=1214121=1=12123=331=14141=',
+  '1=1212121=1=1=1=1=1=1414121=.0.0.0.0.03=331==31=1112=13=11113=11=1.01=1=1=12121=1=333=1=1=1==3=3==1=',
+  '333==31=1=1==3=1=3=====3=1===3=1=3=31=1=1=======1=3===113=3==11==3===3=1=31=3=3===1=1=1==3=3=33=5==3',
+  '3=3=333=33=3===3=5=33=5=3===1=1=1=1=1====3=3=31=111==1=5=1113==1=13=3==3=11=1=113======3=1=33=3=1===',
+  '1=1=111=1=3=331==31=1=1=1=1==3=13=11=1=11=1=1==3=3=31=333==3=3=3===3=3==111===11===1=11=====1112121=',
+  '==111=1=3===113====11=====.03=11=1.01===.0=311211==111.01===.0143=11.01=1==3111=1=1=1====1=3=3=====1',
+  '=3=3=1=3=31=1=1==3===3==1=3=3=3=1=3===1===3==13==1=11=3===1=3=3=3=1=3=3===3=3=1=1211121111121=1212==',
+  '================================12111===0.1=113===0.=1=10.11=312111=113==1.01===..11=10..01=11=10.11',
+  '.01=111111111121=121==111=11111=3===11=3=12133=121143===11141=111=3=3==3=1331=1111121111121=11123=3=',
+  '===11=1=11=======3=1=33=3=1===1=1=111=11111=1=1=1===========113===0.11110.11===1=10.=1113=11=111=10.',
+  '1111=13=11=112121===11111=3===1133=3=111=112121=1=3=33.01===.01===11.0111==31111.01=1=1=111111=1=1=1',
+  '1=3===1=3=====11=1===3=3=11=3=3===1==31=111=========11111111=121.01=1111==11===1=11=====11=3=121=3=1',
+  '211=3===113====11======3=1=3=311211==1111==3111==3=====1=3=3=1=3=3=3=3=1=3=3===3=3==3==13==1=13===3=',
+  '3===========113===0.=1=10.11=3=1=10.41113==1=111=10.111121=12121=3=12133=1213==3=133===3=1=3===1=10.',
+  '=1=1=11=3===1133=3=111=1=3=341411=3=33=31==311111==1=1=1=1===3=3=1====11=121211112121===111=1=3===11',
+  '3====11===12121=1=3=3=.01===.0143=11.01=1==3111=.01=141=1=1=1==3===31=3===1=3=3=3=1=3=3===3=3=1=3=3=',
+  '3=121=121212========12111=113==1.01=1111143===11141=111=3=3==3=133143=143=121=1112123=3=1===1=1=1=1=',
+  '1===113=11=11112121=1=3=33.01=1=1=1=3=3===1=1=3===113====11======3=1=31=3=3===1==3111=1==3===3=33===',
+  '3=3=3===113==1=1113==3=1333====11=3=33=31===.01111112121=1.0111111111111=121=1=1=1=121=1=121=1=11111',
+  '11=1=1=1.011111111111121=1=1=1=121=1=121=1=1=1111111=1=1=11111111111111111111111111111111111111111=1',
+  '2121.011111111111121=1211111111111=1=1=12121111111=1=1111111=1=1111111111111111111111111111111111111',
+  '111111=121111111111111111111111111111111111111.0.0.0.0.0=121112111111121=11121=11121.0111111111111=1',
+  '=1=1111111=1=1=1=1=1=1=11111112121=1=1=12121=12121=1=1111111=1=1=1=1=1=121=1=121=1=1=1412141=1=1=1=1',
+  '111111412121=1=121=1=121=1=1=1=1214141=1=1=1=11111111111=121212111111121412121=12121=1=12121111111=1',
+  '=1=1212141=1=111=11111111111=121112111111111112121=1112121111111414141=1=1=1=1=1=1=1=1=1.01111111111',
+  '11=1=1=1111111=1=1=111111111111111=1=1111111111111111111.0111111=1=1=1=1=1=1=1=1=1=1=111=1=111=11111',
+  '1=3=3=14143=3=3=1=1=1=3=3=3=3=1=3=1==1=1=10.3=141=141=1=3=3=1=3=3==13==1=1111=3==1=3111=11==3==1=314',
+  '1212111=3=3=3==1=31=111===3=1=1=3==1=1=10.143=141=1=3=1=1=3=3=3==13==1=11111110.14141114111111==111=',
+  '113=1=11===1=3213321=13=1411==14111=3=1=3==1=3331=113==3=11=11113====3=11412121=113=3=3==3=11=1=113=',
+  '====111=11111=3===11=3=12133=121143===11141=111=3=3==3=1331111111111=1=1=12121111111=1=1111111=1=111',
+  '.03=3=11=1=10.1414.0.0.03=3=3=3=1=1=115==1=11111110.121211141111111=.0.0.0==3==1==111=11=321=11=1411',
+  '1=.0.0.0==3=1=111==31111110.121211141111111=113321=114111=331=11.0.0.03======11=1111=3=121141=1=11.0',
+  '.0.03===1=1=11=31=111133=121141=11331=1=1111.0.0.0====1=1111=31=1=.01=33333=3333=3=3=33=3=3333141414',
+  '33333=3=3=33335==3=33=3=3=1===3===1=3=3=1===3==13==1=11=3=3=1=3===3=1=3=3===3=3=11111121=1=1=1=121=1',
+  '=121=1=1=1111111=1=1=11=3=3=====3=1=1=3=3====13==1=13=1=1=3=3=3===3=1=3=3===3=3=3==13==1=13=3=3=3=3=',
+  '1=11==3==1==3=1=3==1=3333=1=3=3=111111=121=1=1=1=121=1=121=1=1111111=1=1=11=3===113====11=3=3==3=133',
+  '1=3=3=3=0.0.0.0.0.0.1=3=3==1=1=10.3=3=1=1=1=3=3=3=3======1===1=1=1=1=10.3=3==13==1=1=1=3111=11==3==1',
+  '=3=1=321=321413=3==1=31=111===3====1=3=3=1=1=10.3=3==13==1=1=1=3213321=13==1=333=3=11=11113====3=1=3',
+  '=121=341213=3==3=11=1=113======3=1=3=3=12133=1213==3=133=1=12121111111=1=1=1212141=1=111=111=1=10.1=',
+  '1=115==1=1111=11=321=11=111==31=1111=3=1211=1=11=31=1111=31=3333=3=3=33=3=3333=3=341=541413=3=33335=',
+  '=3=33=3====3=3=5==3==13==1=13===3=3==1=121=1=121=1=1=1=1214141=1=1=1=13====13==1=13=3===3=3==1=3333=',
+  '=1=1=121=1=121=1=1=1412141=1=1=1=13==3=1333=0.0.0.0.14143=3=3=1=1=1=3=3=3=3=......14143=....3=3=..1=',
+  '1=3=3=3=141=141=1=3=3=1=3=3==13==1=1....3=14..1=141=3=..3=3=3=141212111=3=3=3==1=31=111===3=1412123=',
+  '3=1=143=141=1=3=1=1=3=3=3==13==1=1....143=..141=3=1=..3=3=3=141411141111..1414143=1411==14111=3=1=3=',
+  '=1=3333=14143=1412121=113=3=3==3=11=1=113===1412123=3=1=143===11141=111=3=3==3=133143=143=111111=1=1',
+  '111414.0.0.03=3=3=3=1=1=115==1=1....1414...0.03=3=..1=1=5=121211141111..1212141=14111=.0.0.0==3=1=11',
+  '1==31=14.01=121211141111..12121414111=3314141=1=11.0.0.03===1=1=11=3141=.01=141=1133141=1=.01=141414',
+  '33333=3=3=33335==3=33=3=1414143=3=5=1=3=3=1=3===3=1=3=3===3=3=1=3=3=3=111111=1=1=13=1=1=3=3=3===3=1=',
+  '3=3===3=3=1=3=3=3=3=3=3=3=3=1=3=3=111111=1=1=11=3=3=3=3=3=1=1=1=3=3=3=3======1===1=1....3=3=..1=1=3=',
+  '3=.=======3=3==13==1=1..3=3=3=3=3==1=31=111===3====1=3=33=3=1===3=3==13==1=1..3=3=3=3==1=3333=3=3==3',
+  '=11=1=113======3=1=33=3=1===3==3=1333==1=111=11=1=115==1=1..1=1=5=1=111==31=1=1=11=31=1=3=3=33335==3',
+  '=33=3====3=3=53=3=5===3===3=3=3==1=1=1=13=3===3=3=3==1=1=1=13=121=121111110.1=12121212121=1=121=1=11',
+  '1=11111111110.1412111211111=1=1212121=1=1=1=1=1=111=111114141=1=1212121=1=1=1=1=1=1111110.1414111411',
+  '111=1=111=11111=1=1=1=1=11121111121=1=111=11111=111112141=11121211121=1=1=111=1=1111121111121=111211',
+  '111111111111111111111111111111111111110.1212111411111212111=11111212121=1211111=11111212111=1212111=',
+  '121=121=1=1=121=1=121=1=111=111112141=12141=1=121=1=1=1=1=1=1211121111121=12121111111111111111111111',
+  '1111111111111=1=111=11111=1=1=1=1=1=1=1=1=1111111111111111111111111111111111121=1112120.0.0.0.111111',
+  '0.1=1=111=11111=1=111=11111=1=1=1=1=11111=11111=1=111=11111111111=1=111=11111=1=1=1=1111111111111111',
+  '11110.1=12121212121=1=121=1=111=1111....1=12..1212121=..1=1=1=141211121111..14121214141=1=1212121=1=',
+  '1=1=1=1=1414121=141411141111..1414141=1=1=1=1=12141=11121211121=1=1=111=1214121=121=1112121111111112',
+  '1211141111..1212141212121=121212111=121212141=12141=1=121=1=1=1=1=1214141=121=121212111111111=1=1=1=',
+  '1=1=11111111121=1=111=1111..1=1=1=1=1=1=1=1=1=1=111=1=111=1=1=1=1=1111111====1==111=11=====1==1=1212',
+  '111===3=3==1==1=111=====3=3=1=1=1===3=3===3=3==1===1=13=3=3=3=1=1=1===3=3=3=3===1=12110.1===3==10.=3',
+  '110.11===11=12113==111113=111=11==1=11===13321=321=13=14113=14111===1=3==133=31=1=111=11111=1=1=1=3=',
+  '110.==110.11==11=10.=1=13=1111=11=12121111==3=33=1=11=1111===31=12123=331=3=3====11=1=11=======3=1=3',
+  '3=3=1===111111=12111111=.0.0.0==3==1==111=11=321=11=14111=.0.0.0==3=1=111==31212111=11111212121=1=11',
+  '0.1=.0...0===1110.11=11=11.0111112111=11111211121=110.11=1111=1=1111.0.0.0====1=1111=31=1=.01=1=1=11',
+  '=31=1=11.0111=1=1==1=3=====3=1=3=3=1=3===31=1=1====3=3==================================111111=12121',
+  '3=1=11==3==1====1====1=3=33=1=3=============3=11=1=1111111=1=1=1=========1==111=11=====1===1=321=321',
+  '=13=3==1==1=111========1=3=33=3==1===1=13=3=3===3==10.=3110.11===1=10.41=13==111=1=13321=321=13==133',
+  '=3=10.=1=1=13=33=1=11=1111===3=34141=33=331==3===3=1=3===1211121111=11=321=11=111==3110.11=1111=1111',
+  '=31=11===3=1=3=3=1=3===3=3=1=3=3===3=3=3===========1212121===1=3=3===1=1=1=1=1==1=1212111===3=3==1==',
+  '1=111=====1=12123=3=1=3=3=3=3=1=1=1===3=3=3=3===3=3=1=3=1=12113==1113=14113=14111===1=3==133=33=1414',
+  '3=1=1=1=1=1=3=1111=11=12123=331=3=3=1===1=14111=.0.0.0==3=1=111==31=14.01=1212121=121=11.0111211121=',
+  '12111=1=.01=1=1=1=1====3=3========3=1=3=====3=3==1==1=111========1=3=33=3=1===3=3=3===3=3==111=13==1',
+  '33=33==13=331==3==1=111==31=111====3=3=3====12121=1111110.121=1212121=12121=1=1=111=11111111110.1414',
+  '11141111111=1112111=12111=111=111=11111412111=1211121=121=111=1=1111110.121411121111111=111211111211',
+  '1=121=1=1212121=1=1=1=1=1=111=111114141=1=1212121=1=1=1=1=1=1=1=111=11111=1=1=1=11111111111111111111',
+  '111111111111111111110.1212111411111112111=11111211121=1212111=11111212121=1211121=12121=1=1=1=1=1212',
+  '1=1=1=111=11111412121=141=1=1=121=1=1=1=1=1=111=11111=1=1=1=1111111111111111111111111111111111121=11',
+  '12111112121=1212111=121211111111111111111111111111111111111=1=1=1=1=0.0.0.0.1111110.1=1=111=1111111=',
+  '111=11111=111=1=1=1=111=11111=1=1=1=11111111111=1=111=11111=1=1=1=111111111111111111110.121=1212121=',
+  '12121=1=1=111=1111....121=..12121=12..1=1=1=141411141111..1414141412111=1211121=121=111=1=1412121=12',
+  '1411121111..12141212111=121214141=1=1212121=1=1=1=1=1=1414121=1=1=1=1=1=11111111121211141111..121214',
+  '1211121=121212121=12121412121=141=1=1=121=1=1=1=1412141=1=1=1=1=1=1111111112121=121212111111111=1=1=',
+  '111=1111..1=1=1=1=111=1=1=1=1=1=1=1=111=1=1=1=1=1111.0.0.0...0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0',
+  '.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0...0.0.0.0.0.0...0.0.0.0.0.0.0.0.0.0.0',
+  '.0.0.0.0.0.0.0.0.0.011==111=11==1=11===1=321=321=13=1411==14111===1=5==1=3=33=3==13==1=13=3=3=3=3=11',
+  '0.==110.11==11=10.=1=13=1111=11133211=11=11411331=110.=111113=33=1==1=111====3=3=1=3=33=331==3======',
+  '=====1211121111=113321=114111=33110.11=1111=111==31=113=1=11==33=1=3==1==3=1=3=33=1=33=3===========1',
+  '1121211=11=31=1=11=1=1=1=1===1=321=321=15==1=3=3=10.=1=1=1=3=1=3=3=321=3=1=3=3=321=13=1411==14111===',
+  '1=5==1=3=33=14145=3=3=3=3=3=3=1111=11411331=14113=331==3==14111=3314111=3=1=33=3==1=5==1=3=35==1=3=3',
+  '1=11=====11=1111=======11=12121=11==3=3====11=1=11====3=111=11111=====1133=121=3=121143=3=11141=111=',
+  '==3=33=1=31=12121111==333==1=11=1111=3==1=1212333=1=3=3=1=1=1=3=====3=3=3==1===1=13=3=3=3=1=1=1=3===',
+  '3=3=3===1=1=111=11111=1=1=1=3=3==1==1=111========1=3=33=3=1===1=11121=0.===13==30.11110.=1==1=1112=1',
+  '3=11113===0.11110.11===1=10.=1113=11=111111121=1111=11.0.0.03======11=1111=3=121141=1=11.0.0.03===1=',
+  '1=11=31211111=11111212111=1=1=1111.0.0.0====1=1111=31=1=.01=1212111=11111212121=1=111==31=111=1=0..0',
+  '.0..=1==11110.=1111=.01111110.=111111=.0111=1=1==3=1===3===3=1=3=3=1=3==1=1=1==3===31=3===113====11=',
+  '=====3=1=31=3=3===111111=1=1=1====================================================11111121=121113==1',
+  '=1===11=1111=======1=3=121=3=1213=3====11=1=11=======3=1=333=121=3=1213=33=1=3333==1=11=1111=3===341',
+  '41=3333=1==33=3==1===1=13=3=3======1=3=3===13==30.11110.=1===1410.=1=13=11=1=1=10.=1=121=111211=1111',
+  '=3=1211=1=11=31=1111=31=11110.=11111=3===3=1=3=3=1=3===3=3=1=3=3===3=3===3=1=3===1=1=1=1============',
+  '21=12121=11=12121=11==3=3====11=1=11====1=12123=3=1=143=3=11141=111===3=33=1=3143=143=1=1212333=1=3=',
+  '3=3=3=1=1=1=3===3=3=3===3=3=1=3=1=1=1=1=1=3=3=1===1=1112=13=11113=11=1141=1=11.0.0.03===1=1=11=3141=',
+  '.01=1212111=121=1=.01=1212121=121=111=.011111=1=1==3===31=3=3=============3=3====11=1=11=======3=1=3',
+  '3=3=1===3=33=1=33=333=1==33=3=3===3====13=11=1=11=1=11=31=1=11=3===3=3======111=11111=====11=3=121=3',
+  '=121143===11141=111===5==3=1=33311211==1111433111=333====11=1=11=3===3=3=1=3333=1==33=3==13==1=13=3=',
+  '3=3===========113===0.11110.11===1=10.=1113=11=111=10.111121=111211=111133=121141=11331=1=11=31=1111',
+  '0.=111111=3===1133=3=11====3=3=1=31=3=33=31==3111=1==1=1=1=1============11=1212111=3=121=3=1215==3=1',
+  '=3=3=3=1=3=3=1=10.=1=121=3=3=1=3=3=121143===11141=111===5==3=1=3143=145=1433111=14333=1==33=3=3=3=3=',
+  '==113=11=111141=1133141=111=3=33=31===5==3=1=35==3=1=31=12121111==3=3==1=11=1111====1=12123=3=1=3=3=',
+  '3==11=1=11====3=33=1=33=3=1=3=1=121133=1113=3==13=1=111=====3==133=33=3=1=3=1=1=1=1=1=3==111=11=1112',
+  '=13311=13=11=11=1=1111.0.0.0====1=1111=31=1=.01=1212111=121=11.0111211121=1211111=.011111=1=1==3=3=3',
+  '==================3=3==1=11=1111=====54141=33=3=1==53=33=1=33=33=111413==133=33==1=1331141=11=1111=3',
+  '1=1111=3=3=3=3====1=12123=3=1=3=3=1=3=3=3=1=3=1=1=1=.01=12123=3=1==53=3=1==3=3=1.01=1=1==3=3=13=1=11',
+  '3=1====3=311=1=1111212143=1=111=3=3=1=3====311=1.01=1=1==1=3=1.01=1=1=1=3=111=3==3===3=11111=1121412',
+  '1=3=113=1=1=3=3==3===11112121=1=1=111111111=1=1111111112121212141=1=11111=1=1=11121=1211==113=1=11==',
+  '33=1=3=111121=123=1=33.01=1=1==3=1=1.01=1=1=12121===11111=3===1133=3=111=112121=1=3=33.011111133333=',
+  '3333=3=3=33=3=333314141433333=3=3=33335==3=33=3=1=121=1=1=121=1=121=1=111=111112141=12141=1=121=1=1=',
+  '1=1=1=1=1==1=3=====3=1=3=3=1=3===31=1=1====3=3121=1=1=1=1=12121=1=1=111=11111412121=141=1=1=121=1=1=',
+  '1=.0.0.0.0.0.0.0.0.0.03=1=11==33=1=3==1==3=1=3=33=1=33=31=1=1==3=1===3===3=1=3=3=1=3==1=1=1==3===31=',
+  '3===1133=3=11====3=3=1=31=3=33=31=1=1==3=3=3.0111=1==3=30..0111=1=11121===1=0.11=1=1113====30.0.1112',
+  '1=11=13=.0111111111=121===0.=11111=13==3==0.0.111=12=1113=111111113=====0.0.=1=1=10.11113==1111=12=1',
+  '1133.011111111121=11=133=3=3=1=3=3=3=3=3=1=141411=1=1==3=3=1=====3=3===3=3=1=13=1====3=311=1=111=3=3',
+  '41=121211=3=3=1=3====311=1===3=3=11=1=1==1=3=1=3=341=3=3=1=3=1411=1=1==3=3=31=3==3===3=11111=1=3=341',
+  '=121213=1=1=3=3==3===111===3=3=11=1=111111111=1=1=113=1=11==33=1=3=111=341=3413=1=33=31=1=1==3=1=1=3',
+  '=3=341=3=3=141=11=1=1==3=3=31=3===1133=3=111=1=3=341411=3=33=31111114141413333=3=3=33=3=3333=3=341=5',
+  '41413=3=33335==3=33=3====3=3=51=1=111=11111=1=1=1====3=1=3=3=1=3===3=3=1=3=3===3=3=31=1=111=11111=1=',
+  '1=1==3=1=3=3=3=3===3=1=3=3=1=3===3=3=1=3=3===3=3=3=3=1=3=3=3=3=3=3111=1==3=30.=1=14141=5=3=30.0.111=',
+  '1==1=1=511=1=1113====30.0.=1=1410.11=13==1111111212141=11111=13==3==0.0.=141=10.=1113==1=1=1=10.=1=1',
+  '11334111111121214111=13341.01=1=1==3=3=1.01=1=1=1212143=1=111=3=3=1=3====311=11212141=3=3=.01=1=1=12',
+  '14121=3=113=1=1=3=3==3===1111214123=1=3=12121212141=1=11111=1=1=111212141=121=123=1=33.01=1=1=12121=',
+  '1=3=3314141433333=3=3=33335==3=33=3=1414143=3=5=12141=12141=1=121=1=1=1=1=1214141=1=1=1====3=3141212',
+  '1=141=1=1=121=1=1=1=1412141=.0.0.0.0.03=1=33=31=1=1==3===31=3=33=3.0111=1=11121=11=13=111=12=1113=11',
+  '113==11=1=1==3=3=1=====3=3===3=3=1=11=1=1=======1=3=3=1=3====311=1===3=3=11=3=3===1=1=1==3=3=33=1=1=',
+  '3=3==3===111===3=3=13=1=3===1=1=1=111=3=1=33=31=1=1==3=3=31=3=33=33=3=33335==3=33=3====3=3=53=3=5===',
+  '1=1=1=1=1====3=3=31=1=1=1=1==3=3===3=3=3111=1==1=1=511=13==1=1113==1=1==1=11==1=======11=1=11112121=',
+  '==1=111=3===1=3=====11=13=.0==1===.011=1.0=31==1112111.0143=.01===1=.0111==31=111=1=1====3=1=3=3=3=3',
+  '=====3=1=11=1=1==3=3==1=1===3===11111111=333=1=1212114141=1=3===3=11113==333=11=1211111111121=12113=',
+  '1=1===3======111===3=3=13=1=3===12121===11111=33=3113====111=112121=1=333=.01===.01===11.0111==31111',
+  '.01=1=1=111111=1=1=13=1===3===1=3=3=1===3==13==1=11=3=3=1=3===3=1=3=3===3=3=1=1211121111121=1212====',
+  '==============================1=1=111=11111=1=1=1===========1=3===113====11======3=1=31=3=3===1==311',
+  '1=1=========11121===1=0.11=1=1113====30.0.11121=11=13=.011=1.01===1=..0.11=1110..0111=111111112121=1',
+  '111111113=====0.0.=1=1=10.11113==111=1110.11=1113==11111111121=1.0111=11==1=======11=1=111=3=3=1=121',
+  '211=3===1=3=====11=1===3=3=1=31==11121111==31=11=3=3=3=3=====3=1=1=3=3=3=1=3=3===3=333=1=121213==333',
+  '=1===3=3=1==1=33=3113====111=1=3=341411=333==31==311111==1=1=1=1==3==13==1=13===3=3==============3=1',
+  '=3====11=1=1113====30.0.=1=1410.11=13==111=1110.112121=121=1=1=10.=1=11121=1211112121===1=111=3===1=',
+  '3=====11=112121=1=3=3=.0143=.01===1=.0111==31=11.0141=1=1=1=1==3=3==14141=1=3===3=11113==333=114143=',
+  '3=121=1211123=1=3===12121=1=333=.01=1=1=1=3=3=1=3===3=1=3=3===3=3=1=3=3=3=121=121212========1=1=1=1=',
+  '1===1=3=3===1=11121=11=13=.0111=1111113==1111=3===1=3=====11=1===3=3=11=3=3===1==31=111==3=3===33==3',
+  '33=13===1=333==31=3===3=3=3=====11=13==111=1.011111121=121.0111111111111=1=121=1=1=1=1=1=1=121211111',
+  '11=1=1=1.011111111111111=111=11111=1=121=12111111111=111=11111111111111111111111111111111111111111=1',
+  '1121.0111111111111=1=1=111111121=1=1=1=121=1=121=1=1=1111111=1=1=11111111111111111111111111111111111',
+  '111111=121211111111111111111111111111111111111.0.0.0.0.0=1112121111111=1=1=1=1=1=1=1.011111111111121',
+  '21=11111112111=12111=12111111121=121=1=121=1=121=12121111111=1=1=1=1=1=1=1=1=1=12121=1414121=1=1=1=1',
+  '111111412121=11111=1=121=12111=1214121=111=1=11111111111=1112121111111414141=1=1=1=1=1=121=1=121=1=1',
+  '=1=1214141=1=1=1=11111111111=1212121111111111121=1=1=1=1=11111112121412121=1212111=12121.01111111111',
+  '11=1=1=1111111=111=111111111111111=1=1=11111111111111111.0111111=1=1=1=1=1=1=1=111=1=111=1=1=1=11111',
+  '1===111==========11111=1121=121===113=1=1===3======1111=1=3=====1111111133=3=1=1212114141=1=3=3===11',
+  '113=33=3=1121=1211==11331=11=33==1===111121=12331=3=.03=1=====11.0.0=11==3=111112114.0.03=1=1===11.0',
+  '1=1==311121=1111111112121=111=.0.0==1=11==11.01=11=3111=.01=1=1=1=1==3===1=3=3=3=3===3===1=11=1=1==3',
+  '=3==1=3===1=3=====11=1===3=3=11=3=3===111111=1=1=11=3=3=====3=1=1=3=3====13==1=13=1=1=3=3=3===3=1=3=',
+  '3===3=1=1=111=11111=1=1=1=3=1=11==3==1====1====1=3=33=1=3===121=1112111112121=121=11=31=1===========',
+  '==========================================111=121===0.=11111=13==3==0.0.111=12=1113=111111113=====0.',
+  '0.=1=1=10.11113==11111112111=111.0.0=11=1===0...1111=10.11.01=111111=10.1111.01=111111112121=111=13=',
+  '=11==========11111=1=3=3=1=121213=1=1===3======111===3=3=133=3=1=121213=33=3=1331=11=33==1===111=341',
+  '=341331=3==31==3=11111211=1==3111=11=3111==3=3=3=3===3===1=1=3=3=3=1=3=3===3===3=3=1===1=1=1=13====1',
+  '3==1=13=3===3====1=3=3===============11111=13==3==0.0.=141=10.=1113==1=1=1=10.=12111=1211111=10.1111',
+  '2121=121=1121=121===113=1=1===3======111121=123=1=3=14141=1=3=3===11113=33=3=114143=3=121=12331=3=14',
+  '.0.03=1=1===11.01=1==31114.01=1=12121=11121=.01=1=1=1=1==3=3==1=3=3===3=1=1=3=3=3===3=1=3=3===3=3=1=',
+  '3=3=1=1=1=1=1=3=1=3===12121=12121===========111=12=1113=11113==111.01=11113=1=1===3======111===3=3=1',
+  '3=1=3===3=33=3=13=331=3==31=1==3111=1==3=3===3==3=3===3=3======1113==1=1111=1=======11111111=3=3=1=1',
+  '212114141=1=3=====11115==3=3=1331==111211114331=11331=1==33======111=3=3=3=1331=3==31=33=1111121141=',
+  '33111=1==3111=1=33=31=3=====11=1=3=3=3=11=333==31==31=111==1=1=1=13=3==13==1=13=3=3=3===============',
+  '========111111113=====0.0.=1=1=10.11113==111=1110.112111=1211111=10.11111121=12111=3=3=1=121215==3=3',
+  '=1=3=3=3=1=3=3=3=3=1=3=1=1=1=10.=1212114141=1=3=====11115==3=3=114143=5=14331=1114331=3==3141=331114',
+  '1=1=333==31=3=3=3=3=3=====11113==111115==3=3=15==3=3=1121=1211==113=1=11==3==1===111121=123=1=3=3=1=',
+  '1===3=3====1113=33=3=13=1=3=3=121=113311=11=.0.0==1=11==11.01=11=3111=.01=1=12121=11121=.011111=1=1=',
+  '=3=3=3========3=1=11==3==1==3=1=3==1=3333=1=3=3=1=1=1=1=1=3=11=1=112111=121211==========111=12=11133',
+  '=1113==111.01=11113=1=11==3==1===111=541=3413=1=3==53=33=3=13=3311=1411=11=3111=11=3=3=3=3==3==1=333',
+  '3==1===1113341=111121=123=1=3=3=1=3=3=1=.01=1=123=1=3=3=1=123=1=3==53=1=3=.0111111=12121.01111111111',
+  '11=1111111=1=111=1=121112111111111=1=1.0111111111111=1=121=1=1=1=1=1=1=12121111111=1=1=1111111111111',
+  '1111111111111111111111111111=1=1=1.011111111111111=121111111=121=1=1=1=121=1=121=1=1111111=1=1=11111',
+  '111111111111111111111111111111111111=1=1=11111111111111111111111111111111111.0.0.0.0.0=1=1=1=1111111',
+  '21=12111=12121.01111111111111121=11111112121=11121=121111111=12121=1=1=121=1=1212121111111=1=1=111=1',
+  '=111=1=1211121=141212111=1=1=1111111414141=1=1=1=1=1=1=12121=1414121=1=1=1=11111111111=1=1=1=1111111',
+  '21412111=12121=1=1=121=1=121=1=1=1412141=1=1=1=11111111111=1=1=1=11111111111=121=1212121111111212141',
+  '1121=1212121=12121.011111111111111=1=1111111=1=1=111111111111111=1=1=11111111111111111.0111111=1=1=1',
+  '11=1=1=1=1=1=1=111=1=1=1=1111112121===11111=3===113====111=112121=1=3=3=.01===.01===11.0111==31111.0',
+  '1=1=1=1=1=1==3=3=31=3===1=3===3=11=13==333=11=3=3=3=121=121112========12111=1133=1.01=11111=3===113=',
+  '===11=3=3==3=1331=3=3=3=121=111212========1=1=1=1=1===113==1=11111121=11=133.0111=1111=13==1111=3===',
+  '113====111=1=5=341411=3=3==51==311111==3=3=3=33==333=13===1133=141113==3=1333====111=1334111=112121=',
+  '1=3=3=.01=1=1=1=3=3=3=121=3=3=3=121=1=3=3==51=3=3=..0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.',
+  '0.0.0.0.0.0.0.0.0...0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.=5=5=55=5=5==========5=====5=53=3=1==1',
+  '=1=10.3=1=3=3=3=1=3=3=1======1===1=1=1=3=3=1=3=1=341=3=341=31=1=1==1=3=3=====1=3===1=3=3=33=1=3==1=1',
+  '=10.1=3=3=3=3=3=1=1=3======1===1=11111110.1=1=111=111111===1===1==1=11===1=321=321=13=1=11==3==1====',
+  '1====1=3=3=3=1=3=3=1=3=141=3=3=3411=1=1==3=1=3=====3=1===3=1=3=3==11===1=11=====11=3=121=3=1211=3===',
+  '113====11======3=1=31111112121=1=1=12121=12121=1=1111111=1=1=11=3=3==1=1=10.3=3=1=1=1=3=3=3=3======1',
+  '===1=11111110.1=1=111=1111=1==111=11=====1===1=321=321=13=3==1==1=111========1=3=31111110.1=1=111=11',
+  '11=1=321=321=15==1=3=3===11=1111=======1=3=121=3=1213=3====11=1=11=======3=1=3=3=121=3=1215==3=1=33=',
+  '3==1=11=1111=====54141=33=3=1==5=3=3=1=3=3=3=3=3=1=141411=1=1==3=3=1=====3=3===3=3=1=1==1=======11=1',
+  '=111=3=3=1=121211=3===1=3=====11=1===3=3=111111121=121=1=121=1=121=12121111111=1=1=11==========11111',
+  '=1=3=3=1=121213=1=1===3======111===3=3=1=3=3=1=121215==3=3=13=1=11==3==1===111=541=3413=1=3==5111111',
+  '=12121=1=1=121=1=1212121111111=1=1=11=3===113====111=1=5=341411=3=3==50.0.0.0.0.0.=5=5=5........====',
+  '=====5=====5=5=.=...=.....=1=1=10.=====1===1=1=1=3=1=341=3=341=3............=====1=3===1=3=3=3=.....',
+  '..=1=1=10.=====1===1=1=1=321=321=1===1=3=3=3=1=3=141=3=3=341............=====3=1===3=1=3=3=.......=3',
+  '=121=3=121===3=1=3=1=12121=12121=1=1........=1=1=1..=1=1=10.=====1===1=1=1=321=321=1===1=3=3=3=121=3',
+  '=121===3=1=3=54141=3=5=3=3=3=3=3=1=14141............=====3=3===3=3=1=1=.......=3=3=1=12121===3=3=1=1',
+  '=121=1=121=12121........=1=1=1..=3=3=1=12121===3=3=1=541=341=5=1=1=121=1=1212121........=1=1=1..=5=3',
+  '4141=50.0.0...5=5=5==========5=====5=5......5=5=5=.=.=====.=========3=1=3=3=3=1=3=3=1======1===1=1..',
+  '..3=1=..3=3=1=3=.=======1=1=1==1=3=3=====1=3===1=3=3=31=1=1=======1=3=3=3=3=3=1=1=3======1===1=1....',
+  '1=3=..3=3=3=1=.=======1=1=111=1111..1=1=1=3=1=11==3==1====1====1=3=33=1=3===1=1=1==3=1=3=====3=1===3',
+  '=1=3=31=1=1=======1=3===113====11======3=1=31=3=3===111111=1=1=13=3=1=1=1=3=3=3=3======1===1=1....3=',
+  '3=..1=1=3=3=.=======1=1=111=1111..1=1=1=3=3==1==1=111========1=3=33=3=1===1=1=111=1111..1=1=1=5==1=3',
+  '=35=3=3====11=1=11=======3=1=33=3=1===5==3=1=35=3=3=1==51=1=1==3=3=1=====3=3===3=3=1=11=1=1=======1=',
+  '3===1=3=====11=1===3=3=11=3=3===111111=1=1=13=1=1===3======111===3=3=13=1=3===5==3=3=15=3=1=3==51111',
+  '11=1=1=11=3=3==5=========5=====5=5=.=...=......=.=====.============.=.=.=====1===1=1.============1=3',
+  '===1=3=3=3=.......=======.=====1===1=1.==========1=3=3=======3=1===3=1=3=3=.......=======.===3=1=3==',
+  '=1=1=1..=====1===1=1.==========1=3=3=====3=1=3===5=====3=3===3=3=1=1=.......=======.===3=3=1===1=1=1',
+  '..===3=3=1===5=1=1=1..=53=3=1==1=1=10.3=1=3=3=3=1=3=3=1======1===1=1=1=1110.5=1==11==1113==33=3333=3',
+  '3333=3=5=341=341415=3=3==33=3=33=333===5=3=3=1=1=10.3=3==13==1=13====13==1=13=3===3===113==1=11==3=3',
+  '11=3=121=341211=3===113=3==11==3===3=1=3=311211==1111==3111==1=1=121=1=121=1=1=1412141=1=1=1=1=1=1=1',
+  '0.3=3==13==1=13=3==1===1=13=3=3===33=121=3=1213=33=1=33=33=1=33=3=1====3=311=1=111=3=341=121211=3=3=',
+  '1=3====311=1===3=3=1=31==11121111==31=11=1=1=1=1=1=1=12121=1414121=1=1=1=133=3=1=121213=33=3=13=33=3',
+  '=13=11=1=111=1=1211121=141212111=1=1=11==311111=0.0.0.0.=1=1=10.=====1===1=1=5=341=34141===5=3=3=3=1',
+  '21=34121===3=1=3=1412141=1=3=341=12121===3=3=1=1414121=1=1412121=10.3=1=3=3=3=1=3=3=1======1===1=1..',
+  '..3=1=..3=3=1=3=.=======5=1==11==111..5=1=1=5=3=3==33=3=33=333===5=3=35=3=3===3=3==13==1=1..3=3=3=3=',
+  '3===3=3=1=3===113=3==11==3===3=1=31=3=3===1==3111=1==1=1=1=13=3==13==1=1..3=3=3=3=3=3===3=3=33=1=33=',
+  '3=1=3=3=1=3====311=1===3=3=11=3=3===1==31=111==1=1=1=13=33=3=13=3=11=1=1=11======1===1=1.==========5',
+  '=3=3=====3=1=3===1===3=3=1===1=1=1=3=3=1=3=1=341=3=341=31=1=1==1=3=3=====1=3===1=3=3=33==33=3333=333',
+  '33=3=5=341=341415=3=3==33=3=33=333===5=3=31=1=110.=3=3=5=10.=3=10.41=3411=1=11=5=1=111===13==1=31=11',
+  '=3=1=321=321413=1=11==3==13==31====1=3=31=1=111=11111=1=1=1=3=110.===10.=1=311=10.=1413=11=1=11=1=1=',
+  '=1=1=3=3=3=1=1=34141=3=31=1=1==3=3=3=3=====1=3=3=1=3=3=3=3=1=3=3===3=3111111412121=1=3111=11==3==1=3',
+  '=1=321=321413=3==1=31=111===3====1=3=31=1=111=11111=1=1=1=3==10.=3110.11===1=10.41=13==111=1111=111=',
+  '11111=111=1==10.=1=1=1333==1=11=1111=3===34141=3333=1==3=3=3=1=3=333=111411=1=1==1=3=1=3=341=3=3=1=3',
+  '=1411=1=1==3=3=3=3=3=3=3=====3=1=1=3=3=3=1=3=3===3111111412121331=11=33==1===111=341=341331=3==3=3=3',
+  '=3=1=33311=141111111414141=3=3=3=3=1=3=1=341=3=341=3............=====1=3===1=3=3=3=.......=5=341=341',
+  '41===5=3=3=5=10.=3=10.41=341........=5=1=1..=1=321=32141===1=3=3=10.=141=1=3=3=1=1=34141=3=3........',
+  '=3=3=3..=3=3=1=3=3412121..=1=321=32141===1=3=3=10.41=1=1=34141=3=341=3=341=3=3=1=3=141........=3=3=3',
+  '..=3=3=3=1=3412121..=341=341=341414141..=31=1=1==1=3=3=====1=3===1=3=3=31=1=1=======5=3=3==33=3=33=3',
+  '33===5=3=35=3=3===1=1=11=5=1=13=1=11==3==13==31====1=3=33=1=3===1=1=1=1=1=3=11=1=11=1=1==3=3=3=3===3',
+  '=33=3==1=31=111===3====1=3=33=3=1===1=1=1=1=1=3==111=11=111=1=1==1333=1==3=31=1=1==3=3=3=3=3===3331=',
+  '3==3=3=====1=3===1=3=3=3=.......=======.===5=3=3===5=1=1..===1=3=3===1=3=3=3..=3===1=3=3===1=3=3=3=3',
+  '..=3=33=1=3==1=1=10.1=3=3=3=3=3=1=1=3======1===1=1=1=1=10.3=3==13==1=111===13==1=31=11=3=1=321=32141',
+  '3=1=11==3==13==31====1=3=3=111=10.1=5==11=11=111=3211=11=11=11=31==33=333=3333=3=333=3=541=341413=5=',
+  '=33=3=333=33=3===3=5=3==3==13==1=13===3=3==1=121=1=121=1=1=1=1214141=1=1=1=1=1=1=10.3=3==13==1=1=133',
+  '21=321=13==133=33=3==1===1=13=3=3===3==133=33=1=3==3===3=11111=1=3=341=121213=1=1=3=3==3===111===3=3',
+  '=1=333=1=121213==333=1=11111=1=121=12111=1214121=111=1=11==3=11111211=1==3111=11=3111==1=1=1=1=1=1=1',
+  '2121=1414121=1=1=1=13==333=13=0.0.0.0.=1=1=10.=====1===1=1=1=321=32141===1=3=3=3=541=34141===3=5=3=1',
+  '214141=1=3=341=12121===3=3=1=1214121=1=1414121=10.1=3=3=3=3=3=1=1=3======1===1=1....1=3=..3=3=3=1=.=',
+  '======3=3==13==1=1..3=3=3=3=1=11==3==13==31====1=3=33=1=3===1=5==11=11=1..1=5=1=1=11=31=1=3=5==33=3=',
+  '333=33=3===3=5=33=5=3===3===3=3=3==1=1=1=13=3==13==1=1..3=3=3=3==133=33=3=3=3===3=3=3=1=1=3=3==3===1',
+  '11===3=3=13=1=3===3==333=13==111=1=11=1==3111=1==1=1=1=13======1===1=1.==========1=3=3=====3=5=3===1',
+  '===3=3=1===1=11111110.1=1=111=11111=1=111=11111=1=1=1=1=1=111=11111=1=1=1=11111111111=1=111111111=1=',
+  '1=11111111111111111111110.1=1=111=1111..1=1=1=1=1=1=1=1=1=1=1=1=1=111=1=1=111=111111===1===1==1=11==',
+  '=1=321=321=13=1=11==3==1====1====1=3=33====13==1=13=3===3=3=110.===10.=1=311=10.=1413=11=1=111=3211=',
+  '11=11=11=31=110.=11111===3=1===3=1=3=3=3=3=1=3=3===3=3=3===========1212121=1=3213321=13==1=333=10.=1',
+  '=1=1===1=3=3===13=1=11==33=1=3=111=341=3413=1=33=3===3=3=1===11121211=11=3111=11=1=1=1=1===1=321=321',
+  '=1===1=3=3=10.=141=1=3=1=3=3=321=341=341=321=13=1=11==3==1====1====1=3=33=1=3===3=3===3=3=3=11=1=11=',
+  '11=31=1=11===3=3=3==3==1=3333==1==3=1=33=3==1====1=3=3===1=3=3=3=1=3=3=1=3=141=3=3=3411=1=1==3=1=3==',
+  '===3=1===3=1=3=3==113==1=11==3=311=3=121=341211=3===113=3==11==3===3=1=31=1=1==1=1=3=3=3=1=1=34141=3',
+  '=31=1=1==3=3=3=33=333=3333=3=333=3=541=341413=5==33=3=333=33=3===3=5=31=1=111=11111=1=1=1====3=1===3',
+  '=1=3=3=3=3=1=3=3===3=3=31=111==30.=3=1=5=30.=1410.41=31=111==1=5=1113===0.=1=10.11=3=1=10.41113==1=1',
+  '111111214121=3=11=11113====3=1=3=121=341213=3==3=11=1=113======3=1=31=11111=11111=1=111=3=33=1=11=11',
+  '11===3=34141=33=331==31=1=111=11111=1=1=1==3=1=3=3=3=13==30.11110.=1===1410.=1=13=11=1=1=10.=1=1=133',
+  '11411=1=1==3=1=1=3=3=341=3=3=141=11=1=1==3=3=31=33=3113====111=1=3=341411=333==3111111414141=3=3=3=3',
+  '===3===1=1=3=3=3=1=3=3===3=3=3=3=1=3=3=3=3=31111112141211133=141=3=1=3=141=3=3=341............=====3',
+  '=1===3=1=3=3=.......=3=121=34121===3=1=3=3=3=1=1=34141=3=3........=3=3=3..=3=541=34141===3=5=3=3=1=3',
+  '=3=3=1=5=30.=1410.41=3........=1=5=1..=1=10.41=1214121..=3=121=34121===3=1=3=34141=3=3=1410.=1=141=3',
+  '=3=341=3=3=141=1........=3=3=3..=3=34141=3414141..=3=3=3=1=3=3214121..411=1=1==3=1=3=====3=1===3=1=3',
+  '=31=1=1=======1=3===113=3==11==3===3=1=31=3=3===1=1=1==3=3=33=5==33=3=333=33=3===3=5=33=5=3===1=1=1=',
+  '1=1====3=3=31=111==1=5=1113==1=13=3==3=11=1=113======3=1=33=3=1===1=1=111=1=3=331==31=1=1=1=1==3=13=',
+  '11=1=11=1=1==3=3=31=333==3=3=3===3=3=====3=1===3=1=3=3=.......=======.===3=1=3===3=3=3..===3=5=3===3',
+  '=1=5=1..=1===3=1=3===3=1=3=3=3..=3=3==11===1=11=====11=3=121=3=1211=3===113====11======3=1=3=311211=',
+  '=1111==3111==3=====1=3=3=1=3=3=3=3=1=3=3===3=3==3==13==1=13===3=3===========113===0.=1=10.11=3=1=10.',
+  '41113==1=111=10.111121=12121=3=12133=1213==3=133===3=1=3===1=10.=1=1=11=3===1133=3=111=1=3=341411=3=',
+  '33=31==311111==1=1=1=1===3=3=1====11=1212111=3=121=3=121===3=1=3=3=3=1=3=3=1=10.41=121=3=34141=3=121',
+  '1=3===113====11======3=1=31=3=3===1==3111=1==3===3=33===3=3=3===113==1=1113==3=1333====11=3=33=31===',
+  '===3=1=3===3=1=31111112121=1=1=12121=12121=1=1111111=1=1=1=1=1=121=1=121=1=1=1412141=1=1=1=111111141',
+  '2121=1=121=1=121=1=1=1=1214141=1=1=1=11111111111=121212111111121412121=12121=1=12121111111=1=1=12121',
+  '41=1=111=11111111111=121112111111111112121=1112121111111414141=1=1=1=1=1=1=1=1=1=1=12121=12121=1=1..',
+  '......=1=1=1..=1412141=1412121..=1214141=121214121..21=1212141=12121414141..=1=1111111=1=1=1=1=1=1=1',
+  '=1=1=1=111=1=111=11111=1=1=1..=1=1=11=3=3==1=1=10.3=3=1=1=1=3=3=3=3======1===1=1=1=1=10.3=3==13==1=1',
+  '=1=3111=11==3==1=3=1=321=321413=3==1=31=111===3====1=3=3=1=1=10.3=3==13==1=1=1=3213321=13==1=333=3=1',
+  '1=11113====3=1=3=121=341213=3==3=11=1=113======3=1=3=3=12133=1213==3=133=1=12121111111=1=1=1212141=1',
+  '=111=111=1=10.1=1=115==1=1111=11=321=11=111==31=1111=3=1211=1=11=31=1111=31=3333=3=3=33=3=3333=3=341',
+  '=541413=3=33335==3=33=3====3=3=5==3==13==1=13===3=3==1=121=1=121=1=1=1=1214141=1=1=1=13====13==1=13=',
+  '3===3=3==1=3333==1=1=121=1=121=1=1=1412141=1=1=1=13==3=1333=0.0.0.0.=1=1=10.=====1===1=1=1=321=32141',
+  '===1=3=3=3=121=34121===3=1=3=1212141=1=3=341=54141===3=3=5=1214141=1=1412141=10.3=3=1=1=1=3=3=3=3===',
+  '===1===1=1....3=3=..1=1=3=3=.=======3=3==13==1=1..3=3=3=3=3==1=31=111===3====1=3=33=3=1===3=3==13==1',
+  '=1..3=3=3=3==1=3333=3=3==3=11=1=113======3=1=33=3=1===3==3=1333==1=111=11=1=115==1=1..1=1=5=1=111==3',
+  '1=1=1=11=31=1=3=3=33335==3=33=3====3=3=53=3=5===3===3=3=3==1=1=1=13=3===3=3=3==1=1=1=13======1===1=1',
+  '.==========1=3=3=====3=1=3===1===3=3=5===1=11111110.1=1=111=11111=1=111=11111=1=1=1=1=11111=11111=1=',
+  '111=11111111111=1=111=11111=1=1=1=111111111111111111110.1=1=111=1111..1=1=1=1=1=1=1=1=1=1=111=1=111=',
+  '1=1=1=1=1111=1==111=11=====1===1=321=321=13=3==1==1=111========1=3=33=3==1===1=13=3=3===3==10.=3110.',
+  '11===1=10.41=13==111=1=13321=321=13==133=3=10.=1=1=13=33=1=11=1111===3=34141=33=331==3===3=1=3===121',
+  '1121111=11=321=11=111==3110.11=1111=1111=31=11===3=1=3=3=1=3===3=3=1=3=3===3=3=3===========1212121==',
+  '=1=3=3===1=1=1=1=1===1=321=321=1===1=3=3=10.41=1=1=34141=3=321=3=1=3=3=321=13=3==1==1=111========1=3',
+  '=33=3=1===3=3=3===3=3==111=13==133=33==13=331==3==1=111==31=111====3=3=3=======1=3=3===1=3=31111110.',
+  '1=1=111=1111111=111=11111=111=1=1=1=111=11111=1=1=1=11111111111=1=111=11111=1=1=1=111111111111111111',
+  '110.1=1=111=1111..1=1=1=1=111=1=1=1=1=1=1=1=111=1=1=1=1=1111=1=321=321=15==1=3=3=10.=1=1=1=3=1=3=3=3',
+  '21=3=1=3=3=321=15==1=3=35==1=3=3===11=1111=======1=3=121=3=1213=3====11=1=11=======3=1=333=121=3=121',
+  '3=33=1=3333==1=11=1111=3===34141=3333=1==33=3==1===1=13=3=3======1=3=3===13==30.11110.=1===1410.=1=1',
+  '3=11=1=1=10.=1=121=111211=1111=3=1211=1=11=31=1111=31=11110.=11111=3===3=1=3=3=1=3===3=3=1=3=3===3=3',
+  '===3=1=3===1=1=1=1============21=12121=1=3=121=3=121===3=1=3=34141=3=3=1410.=1=121=3=3=1=3=3=1213=3=',
+  '===11=1=11=======3=1=33=3=1===3=33=1=33=333=1==33=3=3===3====13=11=1=11=1=11=31=1=11=3===3=3=======3',
+  '=1=3===3=1=3=3=121=3=1215==3=1=3=3=3=1=3=3=1=10.=1=121=3=3=1=3=3=1215==3=1=35==3=1=33=3==1=11=1111==',
+  '===54141=33=3=1==53=33=1=33=33=111413==133=33==1=1331141=11=1111=31=1111=3=3=3=3=====54141=3=54141=3',
+  '3=3=1==53=3=1==5=3=3=1=3=3=3=3=3=1=141411=1=1==3=3=1=====3=3===3=3=1=13=1====3=311=1=111=3=341=12121',
+  '1=3=3=1=3====311=1===3=3=11=1=1==1=3=1=3=341=3=3=1=3=1411=1=1==3=3=31=3==3===3=11111=1=3=341=121213=',
+  '1=1=3=3==3===111===3=3=11=1=111111111=1=1=113=1=11==33=1=3=111=341=3413=1=33=31=1=1==3=1=1=3=3=341=3',
+  '=3=141=11=1=1==3=3=31=3===1133=3=111=1=3=341411=3=33=31111114141413333=3=3=33=3=3333=3=341=541413=3=',
+  '33335==3=33=3====3=3=51=1=111=11111=1=1=1====3=1=3=3=1=3===3=3=1=3=3===3=3=31=1=111=11111=1=1=1==3=1',
+  '=3=3=3=3===3=1=3=3=1=3===3=3=1=3=3===3=3=3=3=1=3=3=3=3=3=3111=1==3=30.=1=14141=5=3=30.0.111=1==1=1=5',
+  '11=1=1113====30.0.=1=1410.11=13==1111111212141=11111=13==3==0.0.=141=10.=1113==1=1=1=10.=1=111334111',
+  '111121214111=13341=3=3=3=3=3=1=14141............=====3=3===3=3=1=1=.......=3=341=12121===3=3=1=3=341',
+  '=3=3=1=3=141........=3=3=3..=3=341=12121===3=3=1=341=341=3=3=3=341=3=3=141=1........=3=3=3..=3=34141',
+  '=3414141..=3=341=54141===3=3=5=3=1=3=3=3=3=3=1=3=3=3=1=14141=5=3=30.0.........=1=1=5..=1=1410.=12121',
+  '41..=141=10.=141212141..411=1=1==3=3=1=====3=3===3=3=1=11=1=1=======1=3=3=1=3====311=1===3=3=11=3=3=',
+  '==1=1=1==3=3=33=1=1=3=3==3===111===3=3=13=1=3===1=1=1=111=3=1=33=31=1=1==3=3=31=3=33=33=3=33335==3=3',
+  '3=3====3=3=53=3=5===1=1=1=1=1====3=3=31=1=1=1=1==3=3===3=3=3111=1==1=1=511=13==1=1113==1=1=====3=3==',
+  '=3=3=1=1=.......=======.===3=3=1===3=3=3..===3=3=1===3=3=3=3..=3===3=3=5===3=3=1=1=5..=1=1==1=======',
+  '11=1=111=3=3=1=121211=3===1=3=====11=1===3=3=1=31==11121111==31=11=3=3=3=3=====3=1=1=3=3=3=1=3=3===3',
+  '=333=1=121213==333=1===3=3=1==1=33=3113====111=1=3=341411=333==31==311111==1=1=1=1==3==13==1=13===3=',
+  '3==============3=1=3====11=1=1113====30.0.=1=1410.11=13==111=1110.112121=121=1=1=10.=1=11121=12111=3',
+  '=3=1=12121===3=3=1=3=3=3=1=3=3=34141=3=1=1=1410.=121211=3===1=3=====11=1===3=3=11=3=3===1==31=111==3',
+  '=3===33==333=13===1=333==31=3===3=3=3=====11=13==111=1===3=3=1===3=3=111111121=121=1=121=1=121=12121',
+  '111111=1=1=1=1=1=1=1=1=1=12121=1414121=1=1=1=1111111412121=11111=1=121=12111=1214121=111=1=111111111',
+  '11=1112121111111414141=1=1=1=1=1=121=1=121=1=1=1=1214141=1=1=1=11111111111=1212121111111111121=1=1=1',
+  '=1=11111112121412121=1212111=12121=1=121=1=121=12121........=1=1=1..=1414121=1412121..=1214121=12141',
+  '4141..=1=1214141=121=1212141..2121111111=1=1=1=1=1=1=1=111=1=111=1=1=1=11111=1=1=1..=1=1=11=========',
+  '=11111=1=3=3=1=121213=1=1===3======111===3=3=133=3=1=121213=33=3=1331=11=33==1===111=341=341331=3==3',
+  '1==3=11111211=1==3111=11=3111==3=3=3=3===3===1=1=3=3=3=1=3=3===3===3=3=1===1=1=1=13====13==1=13=3===',
+  '3====1=3=3===============11111=13==3==0.0.=141=10.=1113==1=1=1=10.=12111=1211111=10.11112121=121=1=3',
+  '=3=1=12121===3=3=1=341=341=3=3=3=3=1=3=1=141=10.=121213=1=1===3======111===3=3=13=1=3===3=33=3=13=33',
+  '1=3==31=1==3111=1==3=3===3==3=3===3=3======1113==1=111===3=3=1===3=3=1=3=3=1=121215==3=3=1=3=3=3=1=3',
+  '=3=3=3=1=3=1=1=1=10.=121215==3=3=15==3=3=13=1=11==3==1===111=541=3413=1=3==53=33=3=13=3311=1411=11=3',
+  '111=11=3=3=3=3==3==1=3333==1===1113341=111=541=341=541=3413=1=3==53=1=3==5111111=12121=1=1=121=1=121',
+  '2121111111=1=1=111=1=111=1=1211121=141212111=1=1=1111111414141=1=1=1=1=1=1=12121=1414121=1=1=1=11111',
+  '111111=1=1=1=111111121412111=12121=1=1=121=1=121=1=1=1412141=1=1=1=11111111111=1=1=1=11111111111=121',
+  '=12121211111112121411121=1212121=12121=1=1=121=1=1212121........=1=1=1..=1412121=1414141..=1414121=1',
+  '=1214121..21=1412141=1=121212141..2121111111=1=1=111=1=1=1=1=1=1=111=1=1=1=11111=1=1=1..=1=1=11=3===',
+  '113====111=1=5=341411=3=3==51==311111==3=3=3=33==333=13===1133=141113==3=1333====111=1334111=1=5=341',
+  '41=5=341411=3=3==51=3=3==50.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0...0.0.0.',
+].join('')));
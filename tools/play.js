@@ -0,0 +1,532 @@
+// # Playing in a Terminal #
+//
+// Our board, rules, AI, and engine don't need a browser, so we can play Nine
+// Holes in a terminal too. This script draws the board with ASCII text and
+// reads moves like "a1-b3" from the keyboard. It reads them from a pipe just as
+// happily, so scripts and CI can play whole games without a DOM.
+//
+// Run it with `npm run play`. It takes the same settings as the buttons in the
+// browser, and starts a person against the AI on easy if we don't give it any.
+//
+//     npm run play -- --mode hotseat --variant achi --first y --flip
+//     echo "a1-b3" | npm run play -- --level hard --side y
+//
+// It can play someone online too, through a server like the one in
+// `tools/server.js`. Without a `room`, it asks for a new one and prints the
+// code to share. With one, it takes the empty seat in that room.
+//
+//     npm run play -- --mode online --server ws://localhost:8080
+//     npm run play -- --mode online --room HJ4KQ
+//
+// The AI can play with any strategy, including one of our own. A strategy
+// script exports an object with a `name` and a `choose` function, and we
+// register it before the game starts.
+//
+//     npm run play -- --mode demo --strategy random
+//     npm run play -- --strategy ./my-strategy.js
+//
+// Or by correspondence, with no server at all. After every move, it prints a
+// token to send to our opponent. They open it with `letter` and send one back.
+//
+//     npm run play -- --mode correspondence
+//     npm run play -- \
+//       --letter 1.classic.k3x0pz.x..a1-a2.yyy/3/3/x2/1xx_y_0_1.zyshjp
+//
+// Type `help` while playing to see what else it understands.
+
+const readline = require('readline');
+const socket = require('./socket');
+const { strategy } = require('./strategies');
+const {
+  Board,
+  Rules,
+  AI,
+  Engine,
+  Strategies,
+  Record,
+  Remote,
+  Mail,
+  Analysis,
+} = require('../js/core');
+
+AI.learn(require('../js/tablebase'));
+
+// Every setting has a list of values it can take. The first one is what we use
+// when nobody says otherwise. Flipping the board, starting from a position, the
+// `seed` for the AI's dice, the AI's `strategy`, the `server` and `room` to
+// play online, and the `letter` to play by correspondence don't fit in a list,
+// so we handle those on their own. Giving a seed makes the AI reply the same
+// way every time. A strategy can be one of our own, in a script.
+
+const options = {
+  mode: Object.keys(Engine.modes),
+  level: Object.keys(AI.levels),
+  side: ['x', 'y'],
+  first: ['x', 'y'],
+  variant: Object.keys(Board.variants),
+};
+
+function parse(args) {
+  const settings = { flip: false, server: 'ws://localhost:8080', strategy: 'search' };
+  Object.keys(options).forEach((name) => {
+    [settings[name]] = options[name];
+  });
+
+  const rest = args.slice();
+  while (rest.length > 0) {
+    const name = rest.shift().replace(/^--/, '');
+
+    if (name === 'flip') {
+      settings.flip = true;
+    } else if (name === 'position') {
+      settings.position = rest.shift();
+    } else if (name === 'server') {
+      settings.server = rest.shift();
+    } else if (name === 'room') {
+      settings.room = String(rest.shift()).toUpperCase();
+    } else if (name === 'letter') {
+      settings.letter = rest.shift();
+      settings.mode = 'correspondence';
+    } else if (name === 'strategy') {
+      settings.strategy = strategy(rest.shift());
+    } else if (name === 'seed') {
+      const seed = rest.shift();
+      if (!/^\d+$/.test(seed)) {
+        throw new Error(`--seed has to be a whole number, not ${seed}.`);
+      }
+      settings.seed = parseInt(seed, 10);
+    } else if (name in options) {
+      const value = rest.shift();
+      if (options[name].indexOf(value) < 0) {
+        throw new Error(`--${name} can be ${options[name].join(', ')}, not ${value}.`);
+      }
+      settings[name] = value;
+    } else {
+      throw new Error(`There's no --${name} setting.`);
+    }
+  }
+
+  return settings;
+}
+
+// The settings turn into a new game the same way they do in the browser. The
+// `side` is the pieces the person playing the AI gets, so playing as Y swaps
+// the seats around. A letter is a game of its own, and we play whoever's turn
+// it is in it.
+
+function create(settings) {
+  const seats = Engine.modes[settings.mode];
+
+  if (settings.letter) {
+    const board = Mail.parse(Mail.find(settings.letter) || settings.letter);
+    return Object.assign(board, {
+      level: AI.level(settings.level),
+      players: { [board.turn]: 'human', [AI.opponent(board.turn)]: 'mail' },
+    });
+  }
+
+  return Engine.create({
+    variant: Board.variants[settings.variant],
+    level: settings.level,
+    strategy: settings.strategy,
+    players: settings.side === 'x' ? seats : { x: seats.y, y: seats.x },
+    flip: settings.flip,
+    first: settings.first,
+    position: settings.position,
+    seed: settings.seed,
+  });
+}
+
+// We draw the board a rank at a time, with the rank numbers down the side and
+// the files along the bottom. Lines separate the starting ranks from the ones
+// in the middle. Empty spaces are dots, and the pieces in a winning line are
+// capital letters so they stand out.
+//
+// Just like in the browser, the person playing the AI sees their pieces at the
+// bottom. And when two people are playing with `flip` on, the board turns
+// around so whoever's turn it is does too.
+//
+//     5   y y y
+//        -------
+//     4   . . .
+//     3   . . .
+//     2   . . .
+//        -------
+//     1   x x x
+//         a b c
+
+function bottom(board) {
+  const humans = Engine.humans(board);
+
+  if (humans.length === 1) {
+    return humans[0];
+  }
+
+  if (board.flip && humans.indexOf(board.turn) > -1) {
+    return board.turn;
+  }
+
+  return 'x';
+}
+
+function draw(board) {
+  const homes = Board.homes(Rules.variant(board));
+  const flipped = bottom(board) === 'y';
+  const ranks = flipped ? board.ranks.slice() : board.ranks.slice().reverse();
+  const files = flipped ? board.files.slice().reverse() : board.files.slice();
+  const width = String(board.ranks.length).length;
+  const margin = ' '.repeat(width + 2);
+  const line = board.line || [];
+  const lines = [];
+
+  ranks.forEach((rank, index) => {
+    if (index === homes || index === ranks.length - homes) {
+      lines.push(`${margin}${'-'.repeat((files.length * 2) + 1)}`);
+    }
+
+    const spaces = files.map((file) => {
+      const piece = board.layout[file + rank] || '.';
+      return line.indexOf(file + rank) > -1 ? piece.toUpperCase() : piece;
+    });
+    lines.push(`${rank.padStart(width)}   ${spaces.join(' ')}`);
+  });
+
+  lines.push(`${margin} ${files.join(' ')}`);
+  return lines.join('\n');
+}
+
+// Under the board, we say how the game is going. When one person is playing
+// the AI, or someone online, we talk to them as "you". Otherwise we call the
+// players by their pieces.
+
+const opponents = {
+  ai: 'The AI',
+  remote: 'Your opponent',
+  mail: 'Your opponent',
+};
+
+function status(board) {
+  const single = Engine.humans(board).length === 1;
+
+  if (board.result === 'draw') {
+    return 'It\'s a draw.';
+  }
+
+  if (board.result && single) {
+    return board.players[board.result] === 'human' ? 'You win!' : `${opponents[board.players[board.result]]} wins.`;
+  }
+
+  if (board.result) {
+    return `${board.result.toUpperCase()} wins.`;
+  }
+
+  if (board.players[board.turn] === 'ai') {
+    return 'The AI is thinking.';
+  }
+
+  if (board.players[board.turn] === 'remote') {
+    return 'Waiting for your opponent.';
+  }
+
+  if (board.players[board.turn] === 'mail') {
+    return 'Send this token to your opponent.';
+  }
+
+  return single ? 'Your turn.' : `${board.turn.toUpperCase()}'s turn.`;
+}
+
+// Besides moves, there are a few commands for getting around a game. They work
+// like the buttons in the browser.
+
+const help = [
+  'Type a move like a1-b3 to play it, or one of these commands:',
+  '',
+  '  moves   List the moves you can make',
+  '  hint    Ask the AI for a move',
+  '  undo    Take back your last move',
+  '  redo    Make a move you took back again',
+  '  record  Show the game record',
+  '  analyze Go over a finished game move by move',
+  '  new     Start a new game',
+  '  help    Show this list',
+  '  quit    Stop playing',
+].join('\n');
+
+// Analyzing a game lists its moves the way a chess book would, with `?!` after
+// an inaccuracy and `??` after a blunder, and says what went wrong with them.
+
+const symbols = { best: '', inaccuracy: '?!', blunder: '??' };
+
+function review(board) {
+  const offset = (board.count || 0) - board.history.length;
+  return Analysis.game(board).entries.map((entry, index) => {
+    const ply = index + offset;
+    const number = `${Math.floor(ply / 2) + 1}${ply % 2 ? '...' : '.'}`;
+    const better = entry.better ? ` Better was ${entry.better}.` : '';
+    return `${number} ${entry.move}${symbols[entry.label]} ${entry.note}${better}`.trim();
+  }).join('\n');
+}
+
+// When it's the AI's turn, we tick the engine without a move, just like the
+// browser does. There's no need to wait for anything to be drawn here, so we
+// keep going until the game is over or it's a person's turn. A strategy that
+// takes its time doesn't have a move for the engine yet, so we stop and
+// `decide` one, then pick up where we left off.
+
+function think(board, say) {
+  let next = board;
+
+  while (!next.result && next.players[next.turn] === 'ai') {
+    const [played] = Engine.tick(next, next.turn);
+    if (played.history.length === next.history.length) {
+      break;
+    }
+    next = played;
+    say(`The AI moved ${next.history[next.history.length - 1]}.`);
+  }
+
+  return next;
+}
+
+function deciding(board) {
+  return !board.result && board.players[board.turn] === 'ai';
+}
+
+function show(board, say) {
+  say(draw(board));
+  say(status(board));
+  if (board.players[board.turn] === 'mail' && board.history.length > 0) {
+    say(Mail.stringify(board));
+  }
+  if (board.result) {
+    say('Type new to play again, or quit to stop.');
+  }
+}
+
+// Each line we read is either a command or a move. Moves go through
+// `Engine.tick` like they do in the browser, but we check them against
+// `Rules.moves` first, so we can say what was wrong with them.
+
+function command(board, text, settings, say) {
+  const words = text.trim().toLowerCase();
+
+  if (words === '') {
+    return board;
+  }
+
+  if (words === 'help') {
+    say(help);
+    return board;
+  }
+
+  if (words === 'moves') {
+    say(board.result ? 'The game is over.' : Rules.moves(board, board.turn).join(' '));
+    return board;
+  }
+
+  if (words === 'hint') {
+    const hint = board.result ? undefined : AI.hint(board, board.turn, Engine.dice(board));
+    say(hint ? `Try ${hint.move}.` : 'The game is over.');
+    return board;
+  }
+
+  if (words === 'record') {
+    say(Record.stringify(board));
+    return board;
+  }
+
+  if (words === 'analyze') {
+    say(board.result ? review(board) : 'Finish the game, then analyze it.');
+    return board;
+  }
+
+  const final = board.room || Engine.mode(board) === 'correspondence';
+  if (final && ['new', 'undo', 'redo'].indexOf(words) > -1) {
+    say('Moves made online or by correspondence are final. Quit and play again for a new game.');
+    return board;
+  }
+
+  if (words === 'new') {
+    return think(create(settings), say);
+  }
+
+  if (words === 'undo') {
+    return Engine.undo(board);
+  }
+
+  if (words === 'redo') {
+    return think(Engine.redo(board), say);
+  }
+
+  const move = words.match(/^([a-z]\d+)\s*-\s*([a-z]\d+)$/);
+  if (!move) {
+    say(`I don't know what "${text.trim()}" means. Type help for a list of commands.`);
+    return board;
+  }
+
+  if (board.result) {
+    say('The game is over. Type new to play again.');
+    return board;
+  }
+
+  const [, start, end] = move;
+  if (Rules.moves(board, board.turn).indexOf(`${start}-${end}`) < 0) {
+    say(`${start}-${end} isn't a legal move.`);
+    return board;
+  }
+
+  const [next] = Engine.tick(board, board.turn, start, end);
+  return think(next, say);
+}
+
+// Online, the server keeps the real game. We set up our board whenever it
+// tells us about our room, and tick the engine whenever it tells us about a
+// move, just like the browser does. Our own moves go to the server as soon as
+// we make them.
+
+function online(settings, game, say) {
+  const remote = Remote.create(() => socket.connect(settings.server), (connection, message) => {
+    const board = game.board();
+
+    if (message.type === 'room') {
+      say(`You're playing ${connection.side.toUpperCase()} in room ${connection.code}.`);
+      game.update(Remote.board(connection));
+    } else if (message.type === 'move') {
+      const [next] = Engine.tick(board, board.turn);
+      if (next.history.length > board.history.length) {
+        say(`Your opponent moved ${message.move}.`);
+        game.update(next);
+      }
+    } else if (message.type === 'presence') {
+      const here = message.present[AI.opponent(connection.side)];
+      const invite = `Your opponent isn't here. Share the code ${connection.code} to invite them.`;
+      say(here ? 'Your opponent is here.' : invite);
+    } else if (message.type === 'disconnected') {
+      say('We lost the server. Trying again...');
+    } else if (message.type === 'error') {
+      say(message.message);
+      if (board.history.length > connection.history.length) {
+        game.update(Remote.board(connection));
+      }
+    }
+
+    game.ready();
+  });
+
+  Remote.send(remote, settings.room ? { type: 'join', code: settings.room } : {
+    type: 'create',
+    variant: settings.variant,
+    first: settings.first,
+    side: settings.side,
+  });
+
+  return remote;
+}
+
+// When nobody's playing, the AI plays itself until the game is over and we're
+// done. Otherwise we read lines until we're told to quit or run out of them.
+// Lines wait their turn. Anything typed while the AI is deciding on a move,
+// before we have a seat online, or while our opponent is thinking, gets read
+// once it's our move.
+
+function main() {
+  let settings;
+  let board;
+  let remote;
+  let ended = false;
+  const pending = [];
+
+  try {
+    settings = parse(process.argv.slice(2));
+    board = create(settings);
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const say = text => console.log(text);
+
+  if (settings.mode === 'demo') {
+    const watch = (next) => {
+      const played = think(next, say);
+      if (deciding(played)) {
+        Strategies.decide(played).promise.then(() => watch(played));
+      } else {
+        show(played, say);
+      }
+    };
+    watch(board);
+    return;
+  }
+
+  const lines = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: '> ',
+  });
+
+  const waiting = () => deciding(board) || (Boolean(remote) && !board.result
+    && (!board.room || remote.code !== board.room || board.players[board.turn] === 'remote'));
+
+  const game = {
+    board: () => board,
+    update: (next) => {
+      board = next;
+      show(board, say);
+      if (deciding(board)) {
+        Strategies.decide(board).promise.then(() => {
+          if (board === next) {
+            game.update(think(next, say));
+            game.ready();
+          }
+        });
+      }
+    },
+    ready: () => {
+      while (pending.length > 0 && !waiting()) {
+        const next = command(board, pending.shift(), settings, say);
+        if (next !== board) {
+          game.update(next);
+          if (remote) {
+            Remote.play(remote, board);
+          }
+        }
+      }
+
+      if (ended && remote && (pending.length === 0 || board.result)) {
+        Remote.close(remote);
+      } else if (!ended) {
+        lines.prompt();
+      }
+    },
+  };
+
+  if (settings.mode === 'online') {
+    remote = online(settings, game, say);
+  } else {
+    game.update(think(board, say));
+  }
+
+  lines.on('line', (text) => {
+    if (text.trim().toLowerCase() === 'quit') {
+      pending.splice(0);
+      lines.close();
+      return;
+    }
+
+    pending.push(text);
+    game.ready();
+  });
+
+  lines.on('close', () => {
+    ended = true;
+    if (remote) {
+      game.ready();
+    }
+  });
+
+  lines.prompt();
+}
+
+main();
@@ -0,0 +1,333 @@
+// # Playing Online #
+//
+// This is a small game server for playing Nine Holes with someone on another
+// device. It knows the same rules as the game, so it checks every move with
+// `Rules.moves` before it tells anyone about it. Nobody can cheat by sending a
+// move their board would never let them make.
+//
+// Run it with `npm run server`. It listens on port 8080 unless we give it a
+// `--port`, and serves the game's files from `public/` if they've been built.
+// Browsers can only play on it from the pages it serves, unless we trust
+// another site with `--origin`, like the copy of the game on GitHub Pages.
+//
+//     npm run server -- --port 9000
+//     npm run server -- --origin https://onefrankguy.github.io
+//
+// Every game happens in a room. Whoever creates a room gets a short code to
+// share, and whoever shows up with that code gets the other seat. See the
+// `Remote` section in `js/core.js` for the messages players send.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const socket = require('./socket');
+const {
+  Board,
+  Rules,
+  Engine,
+} = require('../js/core');
+
+// Room codes have to be easy to read out loud and type on a phone, so they
+// leave out letters and numbers that look alike, like O and 0, or I and 1.
+// Rooms nobody's in for an hour get cleaned up.
+
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const LENGTH = 5;
+const EXPIRY = 60 * 60 * 1000;
+
+function code(rooms) {
+  let text;
+  do {
+    text = Array.from(crypto.randomBytes(LENGTH), byte => ALPHABET[byte % ALPHABET.length]).join('');
+  } while (rooms.has(text));
+  return text;
+}
+
+function token() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Everything a player needs to catch up on a room fits in one message. The
+// token only goes to the player it belongs to.
+
+function state(room, side) {
+  return {
+    type: 'room',
+    code: room.code,
+    side,
+    token: room.seats[side].token,
+    variant: room.variant,
+    first: room.board.first,
+    history: room.board.history.slice(),
+    result: room.board.result,
+    present: {
+      x: Boolean(room.seats.x.socket),
+      y: Boolean(room.seats.y.socket),
+    },
+  };
+}
+
+function send(player, message) {
+  if (player && player.socket && player.socket.readyState === socket.OPEN) {
+    player.socket.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(room, message) {
+  send(room.seats.x, message);
+  send(room.seats.y, message);
+}
+
+function presence(room) {
+  broadcast(room, {
+    type: 'presence',
+    present: {
+      x: Boolean(room.seats.x.socket),
+      y: Boolean(room.seats.y.socket),
+    },
+  });
+}
+
+// When someone leaves, their seat stays theirs, so they can come back with
+// their token. The other player hears that they've gone. Once both seats are
+// empty, the room waits an hour for someone to come back before we forget it.
+
+function leave(rooms, connection) {
+  const room = rooms.get(connection.room);
+  if (!room || room.seats[connection.side].socket !== connection.socket) {
+    return;
+  }
+
+  room.seats[connection.side].socket = undefined;
+  presence(room);
+
+  if (!room.seats.x.socket && !room.seats.y.socket) {
+    room.timer = setTimeout(() => rooms.delete(room.code), EXPIRY);
+    room.timer.unref();
+  }
+}
+
+// Each message a player sends gets its own handler. A handler either does
+// what it was asked or throws an error with a message that says why not, and
+// that message goes back to the player.
+//
+// A player only sits in one room at a time. Creating or joining another one
+// leaves the seat they had, the same way closing their connection would.
+
+function sit(rooms, room, side, connection) {
+  if (connection.room !== room.code || connection.side !== side) {
+    leave(rooms, connection);
+  }
+
+  const seat = room.seats[side];
+  if (seat.socket && seat.socket !== connection.socket) {
+    seat.socket.close();
+  }
+
+  Object.assign(seat, { socket: connection.socket });
+  Object.assign(connection, { room: room.code, side });
+  clearTimeout(room.timer);
+
+  send(seat, state(room, side));
+  presence(room);
+}
+
+const handlers = {};
+
+handlers.create = (rooms, connection, message) => {
+  const known = Object.prototype.hasOwnProperty.call(Board.variants, message.variant);
+  const variant = known ? message.variant : 'classic';
+  const first = message.first === 'y' ? 'y' : 'x';
+  const side = message.side === 'y' ? 'y' : 'x';
+  const room = {
+    code: code(rooms),
+    variant,
+    board: Engine.create({
+      variant: Board.variants[variant],
+      first,
+      players: { x: 'remote', y: 'remote' },
+    }),
+    seats: {
+      x: { token: token(), joined: side === 'x' },
+      y: { token: token(), joined: side === 'y' },
+    },
+  };
+
+  rooms.set(room.code, room);
+  sit(rooms, room, side, connection);
+};
+
+handlers.join = (rooms, connection, message) => {
+  const room = rooms.get(String(message.code).toUpperCase());
+  if (!room) {
+    throw new Error('There\'s no room with that code.');
+  }
+
+  const side = ['x', 'y'].find(player => !room.seats[player].joined);
+  if (!side) {
+    throw new Error('That room is full.');
+  }
+
+  room.seats[side].joined = true;
+  sit(rooms, room, side, connection);
+};
+
+handlers.rejoin = (rooms, connection, message) => {
+  const room = rooms.get(String(message.code).toUpperCase());
+  if (!room) {
+    throw new Error('That room is gone.');
+  }
+
+  const side = ['x', 'y'].find(player => room.seats[player].token === message.token);
+  if (!side) {
+    throw new Error('That isn\'t your room.');
+  }
+
+  sit(rooms, room, side, connection);
+};
+
+// Moves are where the rules come in. It has to be the player's turn, the game
+// can't be over, and the move has to be one `Rules.moves` lists. The `count`
+// has to match how many moves have been made, too. If it doesn't, the player
+// is out of date, so we send them the room again along with the error.
+
+handlers.move = (rooms, connection, message) => {
+  const room = rooms.get(connection.room);
+  if (!room) {
+    throw new Error('You aren\'t in a room.');
+  }
+
+  const { board } = room;
+  if (message.count !== board.history.length) {
+    send(room.seats[connection.side], state(room, connection.side));
+    throw new Error('That move is out of date.');
+  }
+
+  if (board.result) {
+    throw new Error('The game is over.');
+  }
+
+  if (board.turn !== connection.side) {
+    throw new Error('It isn\'t your turn.');
+  }
+
+  if (Rules.moves(board, board.turn).indexOf(message.move) < 0) {
+    throw new Error(`${message.move} isn't a legal move.`);
+  }
+
+  room.board = Engine.play(board, message.move);
+  broadcast(room, {
+    type: 'move',
+    move: message.move,
+    count: message.count,
+    result: room.board.result,
+  });
+};
+
+// If the game's been built, we serve it too, so there's only one thing to run.
+// We only hand out the files `manifest.txt` lists, the same ones `npm run sync`
+// uploads, so nobody can ask for anything else on the disk.
+
+function files(root, manifest) {
+  const types = {
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'application/javascript',
+    '.png': 'image/png',
+    '.txt': 'text/plain',
+  };
+  const allowed = new Set(manifest.map(line => line.trim()).filter(line => line));
+
+  return (request, response) => {
+    let name = new URL(request.url, 'http://localhost').pathname.slice(1);
+    name = name === '' ? 'index.html' : name;
+
+    if (!allowed.has(name)) {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      response.end('Not found.\n');
+      return;
+    }
+
+    fs.readFile(path.join(root, name), (error, data) => {
+      if (error) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found.\n');
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': types[path.extname(name)] || 'application/octet-stream' });
+      response.end(data);
+    });
+  };
+}
+
+function serve(settings = {}) {
+  const rooms = new Map();
+
+  const server = socket.listen((player) => {
+    const connection = { socket: player };
+
+    Object.assign(player, {
+      onmessage: (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (e) {
+          send(connection, { type: 'error', message: 'That isn\'t a message I understand.' });
+          return;
+        }
+
+        const handler = message && Object.prototype.hasOwnProperty.call(handlers, message.type)
+          ? handlers[message.type]
+          : undefined;
+        if (!handler) {
+          send(connection, { type: 'error', message: 'That isn\'t a message I understand.' });
+          return;
+        }
+
+        try {
+          handler(rooms, connection, message);
+        } catch (e) {
+          send(connection, { type: 'error', message: e.message });
+        }
+      },
+      onclose: () => leave(rooms, connection),
+    });
+  }, settings.root ? files(settings.root, settings.manifest) : undefined, settings.origins);
+
+  server.rooms = rooms;
+  return server;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const origins = [];
+  let port = 8080;
+
+  for (let i = 0; i < args.length; i += 2) {
+    if (args[i] === '--origin' && args[i + 1]) {
+      origins.push(args[i + 1]);
+    } else if (args[i] === '--port' && /^\d+$/.test(args[i + 1] || '')) {
+      port = parseInt(args[i + 1], 10);
+    } else {
+      console.error('The settings are --port, which has to be a whole number, and --origin.');
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const root = path.join(__dirname, '..');
+  const server = serve({
+    root: path.join(root, 'public'),
+    manifest: fs.readFileSync(path.join(root, 'manifest.txt'), 'utf8').split('\n'),
+    origins,
+  });
+  server.listen(port, () => {
+    console.log(`Playing Nine Holes on port ${port}.`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { serve };
@@ -0,0 +1,324 @@
+// # A Tiny WebSocket #
+//
+// Browsers come with [WebSockets][ws] built in, but Node.js doesn't, at least
+// not on both ends. Our game only ever sends short lines of text, so instead of
+// pulling in a library, this is just enough of the protocol to run a server and
+// connect to one. It's the same idea as the tiny jQuery clone in `js/game.js`.
+//
+// Both ends hand back an object that looks like the browser's `WebSocket`,
+// with `send`, `close`, and `onopen`, `onmessage`, and `onclose` handlers. That
+// way the same code can talk to either one.
+//
+// [ws]: https://tools.ietf.org/html/rfc6455 "IETF: The WebSocket Protocol"
+
+const crypto = require('crypto');
+const http = require('http');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const LIMIT = 65536;
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+function accept(key) {
+  return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+// Every message goes in a frame. The first byte says it's the last frame of
+// the message, and what kind of frame it is. The next one to nine bytes say how
+// long it is. Frames from a client are masked with four random bytes, and
+// frames from a server aren't.
+
+function frame(opcode, payload, masked) {
+  const { length } = payload;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeUInt32BE(Math.floor(length / 4294967296), 2);
+    header.writeUInt32BE(length % 4294967296, 6);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+
+  if (!masked) {
+    return Buffer.concat([header, payload]);
+  }
+
+  header[1] |= 0x80;
+  const mask = crypto.randomBytes(4);
+  const body = Buffer.from(payload.map((byte, index) => byte ^ mask[index % 4]));
+  return Buffer.concat([header, mask, body]);
+}
+
+// Reading frames is the same thing backwards. Data shows up in chunks that
+// don't line up with frames, so we keep what we've got until there's a whole
+// frame in it. Text frames are messages, pings get a pong back, and a close
+// frame gets a close frame back. We don't split messages up, so we don't
+// expect anyone else to, and anything else closes the connection. So does a
+// frame that's masked when it shouldn't be, or isn't when it should.
+
+function read(buffer) {
+  if (buffer.length < 2) {
+    return undefined;
+  }
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return undefined;
+    }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return undefined;
+    }
+    length = (buffer.readUInt32BE(2) * 4294967296) + buffer.readUInt32BE(6);
+    offset = 10;
+  }
+
+  const mask = masked ? buffer.slice(offset, offset + 4) : undefined;
+  offset += masked ? 4 : 0;
+
+  if (length > LIMIT) {
+    return {
+      fin,
+      opcode,
+      masked,
+      length,
+      size: buffer.length,
+    };
+  }
+
+  if (buffer.length < offset + length) {
+    return undefined;
+  }
+
+  const payload = Buffer.from(buffer.slice(offset, offset + length));
+  if (mask) {
+    payload.forEach((byte, index) => {
+      payload[index] = byte ^ mask[index % 4];
+    });
+  }
+
+  return {
+    fin,
+    opcode,
+    masked,
+    length,
+    payload,
+    size: offset + length,
+  };
+}
+
+function wrap(stream, masked, head) {
+  const socket = {
+    readyState: OPEN,
+    onopen: () => {},
+    onmessage: () => {},
+    onclose: () => {},
+  };
+  let buffer = head && head.length > 0 ? Buffer.from(head) : Buffer.alloc(0);
+
+  const end = (finish) => {
+    if (socket.readyState !== CLOSED) {
+      socket.readyState = CLOSED;
+      finish();
+      socket.onclose({ type: 'close' });
+    }
+  };
+
+  const write = (opcode, payload) => {
+    if (socket.readyState === OPEN && stream.writable) {
+      stream.write(frame(opcode, payload, masked));
+    }
+  };
+
+  socket.send = (text) => {
+    write(0x1, Buffer.from(String(text)));
+  };
+
+  socket.close = () => {
+    write(0x8, Buffer.alloc(0));
+    end(() => stream.end());
+  };
+
+  const receive = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let message = read(buffer);
+    while (message && socket.readyState === OPEN) {
+      buffer = buffer.slice(message.size);
+
+      const broken = !message.fin || message.masked === masked || message.length > LIMIT;
+      if (broken || [0x1, 0x8, 0x9, 0xa].indexOf(message.opcode) < 0) {
+        socket.close();
+      } else if (message.opcode === 0x1) {
+        socket.onmessage({ type: 'message', data: message.payload.toString() });
+      } else if (message.opcode === 0x8) {
+        socket.close();
+      } else if (message.opcode === 0x9) {
+        write(0xa, message.payload);
+      }
+
+      message = read(buffer);
+    }
+  };
+
+  stream.on('data', receive);
+  stream.on('close', () => end(() => stream.destroy()));
+  stream.on('error', () => end(() => stream.destroy()));
+  if (buffer.length > 0) {
+    setImmediate(() => receive(Buffer.alloc(0)));
+  }
+
+  return socket;
+}
+
+// A server starts out as a plain HTTP server. When a browser asks to upgrade
+// the connection, we answer with the key it sent, run through SHA-1, and
+// switch to frames. Our `listener` gets a socket for every connection, along
+// with the request that opened it. Plain HTTP requests go to `handler`, if
+// there is one.
+//
+// Any page can open a WebSocket to any server, so browsers say which site the
+// page came from in an `Origin` header. We only let in pages from the site
+// we're serving, and the `origins` we're told to trust. Programs that aren't
+// browsers, like `tools/play.js`, don't send one, so we let them in too.
+
+function trusted(request, origins) {
+  const { origin, host } = request.headers;
+  if (!origin || origins.indexOf(origin) > -1) {
+    return true;
+  }
+
+  try {
+    return new URL(origin).host === host;
+  } catch (e) {
+    return false;
+  }
+}
+
+function listen(listener, handler, origins = []) {
+  const server = http.createServer(handler || ((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('This server only speaks WebSocket.\n');
+  }));
+
+  server.on('upgrade', (request, stream, head) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+      stream.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    if (!trusted(request, origins)) {
+      stream.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+
+    stream.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept(key)}`,
+      '',
+      '',
+    ].join('\r\n'));
+    stream.setNoDelay(true);
+
+    listener(wrap(stream, false, head), request);
+  });
+
+  return server;
+}
+
+// Connecting is the other side of the same handshake. We send a random key,
+// check that the answer matches, and then call `onopen`. If anything goes
+// wrong along the way, we call `onclose`, just like a browser would.
+
+function connect(url) {
+  const socket = {
+    readyState: CONNECTING,
+    onopen: () => {},
+    onmessage: () => {},
+    onclose: () => {},
+  };
+  const key = crypto.randomBytes(16).toString('base64');
+  const { hostname, port, pathname } = new URL(url);
+
+  const fail = () => {
+    if (socket.readyState !== CLOSED) {
+      socket.readyState = CLOSED;
+      socket.onclose({ type: 'close' });
+    }
+  };
+
+  const request = http.request({
+    hostname,
+    port,
+    path: pathname,
+    headers: {
+      Connection: 'Upgrade',
+      Upgrade: 'websocket',
+      'Sec-WebSocket-Key': key,
+      'Sec-WebSocket-Version': '13',
+    },
+  });
+
+  socket.send = () => {
+    throw new Error('The socket isn\'t open yet.');
+  };
+  socket.close = () => {
+    request.destroy();
+    fail();
+  };
+
+  request.on('upgrade', (response, stream, head) => {
+    if (response.headers['sec-websocket-accept'] !== accept(key)) {
+      stream.destroy();
+      fail();
+      return;
+    }
+
+    stream.setNoDelay(true);
+    const open = wrap(stream, true, head);
+    open.onmessage = event => socket.onmessage(event);
+    open.onclose = (event) => {
+      socket.readyState = CLOSED;
+      socket.onclose(event);
+    };
+    socket.send = open.send;
+    socket.close = open.close;
+    socket.readyState = OPEN;
+    socket.onopen({ type: 'open' });
+  });
+
+  request.on('response', (response) => {
+    response.resume();
+    fail();
+  });
+  request.on('error', fail);
+  request.end();
+
+  return socket;
+}
+
+module.exports = {
+  listen,
+  connect,
+  OPEN,
+  CLOSED,
+};
@@ -0,0 +1,224 @@
+// # Solving Nine Holes #
+//
+// This script builds the endgame tablebase our AI uses to play perfectly. It
+// starts from a new game and finds every board either player can reach. Then
+// it works backwards from every finished game to figure out who wins from each
+// of those boards, and how many moves it takes.
+//
+// Run it with `npm run solve`. It writes the tablebase to `js/tablebase.js`,
+// then checks a sample of boards against a brute force search.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  Board,
+  Rules,
+  AI,
+} = require('../js/core');
+
+// We find every reachable board with a breadth first search. Each position is
+// a board and a player to move. Either player can move first, so we start from
+// both. We remember which positions every move leads to, and which positions
+// lead to it.
+
+function explore() {
+  const positions = new Map();
+  const queue = [];
+
+  const visit = (board, player) => {
+    const key = AI.key(board, player);
+    if (!positions.has(key)) {
+      positions.set(key, {
+        board,
+        player,
+        next: [],
+        previous: [],
+      });
+      queue.push(key);
+    }
+    return key;
+  };
+
+  visit(Board.create(), 'x');
+  visit(Board.create(), 'y');
+
+  for (let i = 0; i < queue.length; i += 1) {
+    const key = queue[i];
+    const position = positions.get(key);
+
+    if (!Rules.winner(position.board)) {
+      const opponent = AI.opponent(position.player);
+      Rules.moves(position.board, position.player).forEach((move) => {
+        const next = visit(Board.move(position.board, [move]), opponent);
+        position.next.push(next);
+        positions.get(next).previous.push(key);
+      });
+    }
+  }
+
+  return positions;
+}
+
+// Every finished game is a loss for the player to move, in zero moves. If a
+// move leads to a loss for the other player, the position before it is a win,
+// one move further out. If every move leads to a win for the other player, the
+// position before them is a loss. Since we work outwards one move at a time,
+// the first distance we find for a position is the shortest one. That's called
+// [retrograde analysis][ra]. Anything left over when we run out of positions
+// is a draw.
+//
+// [ra]: https://en.wikipedia.org/wiki/Retrograde_analysis "Various (Wikipedia): Retrograde analysis"
+
+function solve(positions) {
+  const distances = new Map();
+  const unknown = new Map();
+  const queue = [];
+
+  positions.forEach((position, key) => {
+    unknown.set(key, position.next.length);
+    if (Rules.winner(position.board)) {
+      distances.set(key, 0);
+      queue.push(key);
+    }
+  });
+
+  for (let i = 0; i < queue.length; i += 1) {
+    const key = queue[i];
+    const distance = distances.get(key);
+
+    positions.get(key).previous.forEach((previous) => {
+      if (distances.has(previous)) {
+        return;
+      }
+
+      const left = unknown.get(previous) - 1;
+      unknown.set(previous, left);
+
+      if (distance % 2 === 0 || left === 0) {
+        distances.set(previous, distance + 1);
+        queue.push(previous);
+      }
+    });
+  }
+
+  return distances;
+}
+
+// The tablebase lists results in the same order as `AI.layouts`, with X to
+// move first. Long strings are hard to read in a diff, so we break it up into
+// lines of a hundred characters when we write it out.
+
+function tabulate(positions, distances) {
+  const results = [];
+
+  AI.layouts(Board.create()).forEach((layout) => {
+    ['x', 'y'].forEach((player) => {
+      const key = layout + player;
+      if (distances.has(key)) {
+        results.push(distances.get(key).toString(36));
+      } else if (positions.has(key)) {
+        results.push('=');
+      } else {
+        results.push('.');
+      }
+    });
+  });
+
+  return results.join('');
+}
+
+function serialize(text) {
+  const lines = [];
+  for (let i = 0; i < text.length; i += 100) {
+    lines.push(`  '${text.slice(i, i + 100)}',`);
+  }
+
+  return [
+    '// This file was generated by `npm run solve`. Don\'t edit it by hand.',
+    '//',
+    '// It\'s the endgame tablebase for **Nine Holes**. See `AI.learn` in',
+    '// `js/core.js` for how to read it.',
+    '',
+    '/* global AI */',
+    '(function tablebase(results) {',
+    '  if (typeof module !== \'undefined\' && module.exports) {',
+    '    module.exports = results;',
+    '  } else {',
+    '    AI.learn(results);',
+    '  }',
+    '}([',
+    ...lines,
+    '].join(\'\')));',
+    '',
+  ].join('\n');
+}
+
+// To make sure we got it right, we compare a sample of positions against
+// `AI.search`. Five moves of look ahead is enough for the search to see the end
+// of every game that has one, so the two should always agree. The sample comes
+// from seeded dice, so every run checks the same positions.
+
+function check(positions, samples) {
+  const keys = Array.from(positions.keys());
+  const depth = AI.levels.hard;
+  const random = AI.seeded(samples);
+  let failures = 0;
+
+  for (let i = 0; i < samples; i += 1) {
+    const { board, player } = positions.get(keys[Math.floor(random() * keys.length)]);
+    const found = AI.lookup(board, player);
+    const score = AI.search(board, player, depth, -Infinity, Infinity, new Map());
+
+    let expected = 0;
+    if (found.result === 'win') {
+      expected = (AI.WIN + depth) - found.distance;
+    } else if (found.result === 'loss') {
+      expected = found.distance - (AI.WIN + depth);
+    }
+
+    if (score !== expected) {
+      failures += 1;
+      console.error(`${AI.key(board, player)} is a ${found.result} in the tablebase but scores ${score}`);
+    }
+  }
+
+  return failures;
+}
+
+function main() {
+  const positions = explore();
+  const distances = solve(positions);
+
+  const file = path.join(__dirname, '..', 'js', 'tablebase.js');
+  const results = tabulate(positions, distances);
+  fs.writeFileSync(file, serialize(results));
+  AI.learn(results);
+
+  let wins = 0;
+  let longest = 0;
+  distances.forEach((distance) => {
+    wins += distance % 2;
+    longest = Math.max(longest, distance);
+  });
+
+  console.log(`Solved ${positions.size} positions.`);
+  console.log(`${wins} wins, ${distances.size - wins} losses, and ${positions.size - distances.size} draws.`);
+  console.log(`Every forced win or loss takes ${longest} moves or less.`);
+
+  const opening = AI.lookup(Board.create(), 'x');
+  if (opening.result === 'draw') {
+    console.log('The opening is a draw with perfect play.');
+  } else {
+    console.log(`The opening is a ${opening.result} for X in ${opening.distance} moves.`);
+  }
+
+  const failures = check(positions, 500);
+  if (failures > 0) {
+    console.error(`${failures} positions didn't match the search.`);
+    process.exitCode = 1;
+  } else {
+    console.log('A sample of 500 positions matches the search.');
+  }
+}
+
+main();
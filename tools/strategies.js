@@ -0,0 +1,37 @@
+// # Loading Strategies #
+//
+// Anyone can write a strategy for our AI, and `tools/play.js` and
+// `tools/tournament.js` both let us pick one by name. A name that ends in
+// `.js` is a script of our own instead. It exports an object with a `name` and
+// a `choose` function, and we register it before anything gets played. See
+// `Strategies` in `js/core.js` for the rest.
+//
+//     npm run play -- --strategy ./my-strategy.js
+//     npm run tournament -- --a ./my-strategy.js --b search
+//
+// Scripts live wherever the person running the command put them, so we find
+// them from there. Then we load them like any other module, with a `require`
+// that `createRequire` makes for us.
+
+const path = require('path');
+const { createRequire } = require('module');
+const { Strategies } = require('../js/core');
+
+const load = createRequire(__filename);
+
+// The `setting` is the one the value came from, so that a mistake can say
+// which one was wrong.
+
+function strategy(value, setting = 'strategy') {
+  if (/\.js$/.test(String(value))) {
+    return Strategies.register(load(path.resolve(value))).name;
+  }
+
+  const names = Strategies.list.map(other => other.name);
+  if (names.indexOf(value) < 0) {
+    throw new Error(`--${setting} can be ${names.join(', ')}, or a .js file, not ${value}.`);
+  }
+  return value;
+}
+
+module.exports = { strategy };
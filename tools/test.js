@@ -0,0 +1,316 @@
+// # Testing Nine Holes #
+//
+// Most of our tests live in `js/core.js`, right next to the code they check,
+// where they're part of the story. This script runs the ones that have to keep
+// passing no matter how the AI changes, so we hear about it from a script
+// instead of from a player.
+//
+// Run it with `npm test`. It says which checks passed, and stops with an error
+// at the first one that doesn't.
+
+const assert = require('assert');
+const http = require('http');
+const { connect } = require('./socket');
+const { serve } = require('./server');
+const {
+  Board,
+  Rules,
+  AI,
+  Engine,
+  Puzzles,
+} = require('../js/core');
+
+AI.learn(require('../js/tablebase'));
+Puzzles.learn(require('../js/puzzles'));
+
+// Each check has a name and a function that throws when something's wrong. A
+// check can return a promise too, and we wait for it before starting the next
+// one.
+
+const checks = [];
+
+function check(name, run) {
+  checks.push({ name, run });
+}
+
+// The AI rolls dice to pick between moves that are just as good, but the dice
+// are seeded. So given the same seed and the same moves from a person, it
+// should make the same replies every time, at every level. Taking a move back
+// and making it again shouldn't change its reply either, and neither should
+// saving the game and picking it up again.
+//
+// Our person picks their moves with dice of their own, so every seed plays a
+// different game. On the bigger boards, hard looks at as many boards as it's
+// allowed to on almost every move, which takes a while. So we only play a few
+// moves there, with one seed. That's still enough to catch it stopping in a
+// different place.
+
+function play(settings, moves) {
+  const pick = Engine.random(settings.seed ^ 0x5EED);
+  let board = Engine.create(settings);
+
+  while (!board.result && board.history.length < moves) {
+    const legal = Rules.moves(board, board.turn);
+    const [start, end] = legal[Math.floor(pick() * legal.length)].split('-');
+    [board] = Engine.tick(board, board.turn, start, end);
+    [board] = Engine.tick(board, board.turn);
+  }
+
+  return board;
+}
+
+Object.keys(Board.variants).forEach((variant) => {
+  Object.keys(AI.levels).forEach((level) => {
+    const slow = Board.variants[variant].width > 3 && level === 'hard';
+    const seeds = slow ? [1] : [1, 1234, 4294967295];
+    const moves = slow ? 6 : 16;
+
+    check(`the same seed gets the same replies in ${variant} on ${level}`, () => {
+      seeds.forEach((seed) => {
+        const settings = { variant: Board.variants[variant], level, seed };
+        const board = play(settings, moves);
+        assert.strictEqual(board.seed, seed);
+        assert.strictEqual(play(settings, moves).history.join(' '), board.history.join(' '));
+
+        const undone = Engine.undo(board);
+        const [start, end] = board.history[undone.history.length].split('-');
+        const [moved] = Engine.tick(undone, undone.turn, start, end);
+        const [replied] = Engine.tick(moved, moved.turn);
+        assert.strictEqual(replied.history.join(' '), board.history.slice(0, replied.history.length).join(' '));
+
+        const restarted = board.history.reduce(Engine.play, Engine.create(Engine.settings(board)));
+        assert.strictEqual(Board.toString(restarted), Board.toString(board));
+      });
+    });
+  });
+});
+
+// Seeds only matter if they change something. On easy, plenty of moves are
+// just as good, so a handful of seeds should play at least two different
+// games.
+
+check('different seeds can get different replies', () => {
+  const games = [1, 2, 3, 4, 5, 6, 7, 8].map(seed => play({ level: 'easy', seed }, 10).history.join(' '));
+  assert(new Set(games).size > 1);
+});
+
+// Hard trusts the tablebase over its own search, so the tablebase had better be
+// right. `npm run solve` checks it when it's built, but the rules or the search
+// can change after that. So we play a fixed sample of games with seeded dice,
+// stop each one somewhere along the way, and make sure the tablebase and five
+// moves of search agree about who wins, and how soon.
+
+check('the tablebase agrees with the search', () => {
+  const random = Engine.random(0x7AB1E);
+  const depth = AI.levels.hard;
+
+  for (let i = 0; i < 200; i += 1) {
+    let board = Board.create();
+    let player = random() < 0.5 ? 'x' : 'y';
+    const plies = Math.floor(random() * 24);
+
+    for (let ply = 0; ply < plies && !Rules.winner(board); ply += 1) {
+      const moves = Rules.moves(board, player);
+      board = Board.move(board, [moves[Math.floor(random() * moves.length)]]);
+      player = AI.opponent(player);
+    }
+
+    const found = AI.lookup(board, player);
+    let expected = 0;
+    if (found.result === 'win') {
+      expected = (AI.WIN + depth) - found.distance;
+    } else if (found.result === 'loss') {
+      expected = found.distance - (AI.WIN + depth);
+    }
+
+    const score = AI.search(board, player, depth, -Infinity, Infinity, new Map());
+    assert(score === expected, `${AI.key(board, player)} is a ${found.result} in the tablebase, not ${score}`);
+  }
+});
+
+// Every puzzle has to be a win, in exactly as many moves as it says, or
+// someone could solve it and still be told they failed. We check that a puzzle
+// with the wrong count gets caught too, and that the right first move in
+// `two-threats` counts while a wrong one doesn't.
+
+check('every puzzle has its own id', () => {
+  const ids = Puzzles.list.map(puzzle => puzzle.id);
+  assert.strictEqual(new Set(ids).size, ids.length);
+});
+
+Puzzles.list.forEach((puzzle) => {
+  check(`puzzle ${puzzle.id} is a win in ${puzzle.win}`, () => {
+    Puzzles.validate(puzzle);
+  });
+});
+
+check('a puzzle with the wrong number of moves fails', () => {
+  const wrong = Object.assign({}, Puzzles.list[0], { win: Puzzles.list[0].win + 1 });
+  assert.throws(() => Puzzles.validate(wrong), {
+    message: `Puzzle "${wrong.id}" is a win in ${Puzzles.list[0].win}, not ${wrong.win}.`,
+  });
+});
+
+check('solving a puzzle takes the right moves', () => {
+  const board = Puzzles.create(Puzzles.find('two-threats'));
+  assert.strictEqual(Puzzles.check(Engine.play(board, 'a1-c2')), undefined);
+  assert.strictEqual(Puzzles.check(Engine.play(board, 'a1-a2')), 'failed');
+});
+
+// Online games are only as good as the server that keeps score, so we start
+// one on a free port on this computer, and connect two players to it the same
+// way `tools/play.js` does. Each player keeps the messages they hear in an
+// inbox, and `next` waits for the next one of a kind, giving up after a couple
+// of seconds so a broken server can't hang the check.
+
+function client(url) {
+  const player = connect(url);
+  const inbox = [];
+  let wake = () => {};
+
+  player.onmessage = (event) => {
+    inbox.push(JSON.parse(event.data));
+    wake();
+  };
+  player.tell = message => player.send(JSON.stringify(message));
+  player.next = type => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Nobody sent a ${type} message.`)), 2000);
+    const look = () => {
+      const index = inbox.findIndex(message => message.type === type);
+      if (index < 0) {
+        wake = look;
+        return;
+      }
+      clearTimeout(timer);
+      resolve(inbox.splice(index, 1)[0]);
+    };
+    look();
+  });
+
+  return new Promise((resolve, reject) => {
+    player.onopen = () => resolve(player);
+    player.onclose = () => reject(new Error(`Couldn't connect to ${url}.`));
+  });
+}
+
+// One player creates a room and the other joins it. The server passes a legal
+// move on to both of them, and turns down one that isn't legal. Then the first
+// player drops off and comes back with their seat's token, and finds the game
+// where they left it. A page from some other site doesn't get in at all.
+
+function knock(port, origin) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      hostname: 'localhost',
+      port,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        Origin: origin,
+        'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+
+    request.on('response', (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('upgrade', (response, stream) => {
+      stream.destroy();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+check('two players can play on a local server', () => {
+  const server = serve();
+  const players = [];
+  let url;
+  let x;
+  let y;
+  let room;
+
+  const join = () => client(url).then((player) => {
+    players.push(player);
+    return player;
+  });
+
+  const played = new Promise(resolve => server.listen(0, 'localhost', resolve))
+    .then(() => {
+      url = `ws://localhost:${server.address().port}`;
+      return join();
+    })
+    .then((player) => {
+      x = player;
+      x.tell({
+        type: 'create',
+        variant: 'classic',
+        first: 'x',
+        side: 'x',
+      });
+      return x.next('room');
+    })
+    .then((message) => {
+      room = message;
+      assert.strictEqual(room.side, 'x');
+      return join();
+    })
+    .then((player) => {
+      y = player;
+      y.tell({ type: 'join', code: room.code.toLowerCase() });
+      return y.next('room');
+    })
+    .then((message) => {
+      assert.strictEqual(message.code, room.code);
+      assert.strictEqual(message.side, 'y');
+      x.tell({ type: 'move', move: 'a1-a2', count: 0 });
+      return Promise.all([x.next('move'), y.next('move')]);
+    })
+    .then((moves) => {
+      moves.forEach(message => assert.strictEqual(message.move, 'a1-a2'));
+      y.tell({ type: 'move', move: 'a5-a2', count: 1 });
+      return y.next('error');
+    })
+    .then((error) => {
+      assert.strictEqual(error.message, 'a5-a2 isn\'t a legal move.');
+      x.close();
+      return join();
+    })
+    .then((player) => {
+      x = player;
+      x.tell({ type: 'rejoin', code: room.code, token: room.token });
+      return x.next('room');
+    })
+    .then((message) => {
+      assert.strictEqual(message.side, 'x');
+      assert.deepStrictEqual(message.history, ['a1-a2']);
+      assert.deepStrictEqual(message.present, { x: true, y: true });
+      return knock(server.address().port, 'https://example.com');
+    })
+    .then((status) => {
+      assert.strictEqual(status, 403);
+    });
+
+  const close = () => {
+    players.forEach(player => player.close());
+    return new Promise(resolve => server.close(resolve));
+  };
+
+  return played.then(close, error => close().then(() => {
+    throw error;
+  }));
+});
+
+// We run the checks one at a time, in the order they were written.
+
+checks.reduce((done, { name, run }) => done.then(() => run()).then(() => {
+  console.log(`ok ${name}`);
+}), Promise.resolve()).then(() => {
+  console.log(`All ${checks.length} checks passed.`);
+}, (error) => {
+  console.error(error.stack || error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,288 @@
+// # AI Tournaments #
+//
+// This script plays our AI against itself to measure how strong it is. Two
+// strategies, `a` and `b`, play a number of games, taking turns with X and Y so
+// neither one always gets the first move. The AI rolls seeded dice, so running
+// it twice on the same code with the same `seed` plays the exact same games.
+// Running it before and after a change to the AI tells us whether the change
+// helped.
+//
+// Run it with `npm run tournament`. It plays the search on hard against the
+// search on medium on classic Nine Holes unless we say otherwise, and writes
+// the results as JSON.
+//
+//     npm run tournament -- --a-level easy --b-level medium --games 200 --seed 7
+//     npm run tournament -- --variant achi --output achi.json
+//
+// A strategy is any of the ones in `Strategies`, or a script of our own, just
+// like in `tools/play.js`. Each one plays at its own level, and gets the same
+// time `budget` for a move that it would in a game. Our own search counts
+// boards instead of watching the clock, but a strategy that does watch it can
+// play differently on a slower computer.
+//
+//     npm run tournament -- --a ./my-strategy.js --b heuristic --budget 500
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const {
+  Board,
+  AI,
+  Engine,
+  Strategies,
+} = require('../js/core');
+const { strategy } = require('./strategies');
+
+AI.learn(require('../js/tablebase'));
+
+// Settings come in pairs, like `--games 200`. Anything we don't recognize is
+// a mistake, so we say so instead of quietly ignoring it.
+
+function parse(args) {
+  const settings = {
+    a: 'search',
+    'a-level': 'hard',
+    b: 'search',
+    'b-level': 'medium',
+    budget: String(Strategies.budget),
+    games: '100',
+    seed: '1',
+    variant: 'classic',
+  };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in settings) && name !== 'output') {
+      throw new Error(`There's no --${name} setting.`);
+    }
+    settings[name] = args[i + 1];
+  }
+
+  ['a', 'b'].forEach((name) => {
+    settings[name] = strategy(settings[name], name);
+    if (!(settings[`${name}-level`] in AI.levels)) {
+      const levels = Object.keys(AI.levels).join(', ');
+      throw new Error(`--${name}-level can be ${levels}, not ${settings[`${name}-level`]}.`);
+    }
+  });
+
+  if (!(settings.variant in Board.variants)) {
+    throw new Error(`--variant can be ${Object.keys(Board.variants).join(', ')}, not ${settings.variant}.`);
+  }
+
+  ['budget', 'games', 'seed'].forEach((name) => {
+    if (!/^\d+$/.test(settings[name])) {
+      throw new Error(`--${name} has to be a whole number, not ${settings[name]}.`);
+    }
+  });
+
+  return Object.assign(settings, {
+    budget: parseInt(settings.budget, 10),
+    games: parseInt(settings.games, 10),
+    seed: parseInt(settings.seed, 10),
+  });
+}
+
+// To count how much work the AI does, we wrap `AI.search` and count every
+// board it scores. The search calls itself through `AI.search`, so the wrapper
+// sees every one of them, not just the first.
+
+let nodes = 0;
+const { search } = AI;
+AI.search = (...args) => {
+  nodes += 1;
+  return search(...args);
+};
+
+// Each game starts fresh, with the AI playing both sides, and its own seed
+// from the tournament's dice. Before every move, we ask whoever's turn it is
+// for a move the same way the engine does, with a context at their level. A
+// strategy that breaks, or plays a move that isn't legal, gets the heuristic's
+// move instead, and we count how often that happens. We also keep track of how
+// many moves each strategy made, how many boards it searched, and how long it
+// took, including any time spent waiting on a promise.
+
+function play(settings, players, seed) {
+  const turn = (board) => {
+    if (board.result) {
+      return board;
+    }
+
+    const player = players[board.turn];
+    const context = Object.assign(Strategies.context(board, { budget: settings.budget }), {
+      level: player.level,
+    });
+    const before = nodes;
+    const started = process.hrtime();
+
+    return Promise.resolve()
+      .then(() => Strategies.find(player.name).choose(board, board.turn, context))
+      .then(move => move, () => undefined)
+      .then((move) => {
+        const [seconds, nanoseconds] = process.hrtime(started);
+        const settled = Strategies.settle(board, move, context);
+
+        player.moves += 1;
+        player.fallbacks += settled === move ? 0 : 1;
+        player.nodes += nodes - before;
+        player.milliseconds += (seconds * 1000) + (nanoseconds / 1e6);
+        return turn(Engine.play(board, settled));
+      });
+  };
+
+  return Promise.resolve(turn(Engine.create({
+    variant: Board.variants[settings.variant],
+    players: Engine.modes.demo,
+    seed,
+  })));
+}
+
+// A win rate from a handful of games isn't worth much, so we put a 95%
+// confidence interval around every rate. The [Wilson score interval][wilson]
+// behaves itself even when a strategy wins every game, or none of them.
+//
+// [wilson]: https://en.wikipedia.org/wiki/Binomial_proportion_confidence_interval#Wilson_score_interval "Various (Wikipedia): Wilson score interval"
+
+const Z = 1.96;
+
+function round(number) {
+  return Math.round(number * 10000) / 10000;
+}
+
+function wilson(count, total) {
+  if (total < 1) {
+    return { rate: 0, low: 0, high: 1 };
+  }
+
+  const rate = count / total;
+  const z2 = Z * Z;
+  const center = (rate + (z2 / (2 * total))) / (1 + (z2 / total));
+  const spread = (Z / (1 + (z2 / total))) * Math.sqrt(((rate * (1 - rate)) / total) + (z2 / (4 * total * total)));
+
+  return {
+    rate: round(rate),
+    low: round(Math.max(0, center - spread)),
+    high: round(Math.min(1, center + spread)),
+  };
+}
+
+// We report everything from `a`'s point of view. Its score counts a win as one
+// point and a draw as half, like in chess, so 0.5 means the two strategies are
+// even. Wins, draws, and losses are also broken down by which pieces `a` had,
+// since moving first might matter.
+
+function report(settings, games, players) {
+  const tally = { wins: 0, draws: 0, losses: 0 };
+  const sides = {
+    x: { wins: 0, draws: 0, losses: 0 },
+    y: { wins: 0, draws: 0, losses: 0 },
+  };
+  const scores = { wins: 1, draws: 0.5, losses: 0 };
+  const points = [];
+  let moves = 0;
+
+  games.forEach(({ side, result, length }) => {
+    let outcome = 'losses';
+    if (result === 'draw') {
+      outcome = 'draws';
+    } else if (result === side) {
+      outcome = 'wins';
+    }
+    tally[outcome] += 1;
+    sides[side][outcome] += 1;
+    points.push(scores[outcome]);
+    moves += length;
+  });
+
+  const total = games.length;
+  const mean = total > 0 ? points.reduce((sum, score) => sum + score, 0) / total : 0;
+  const variance = total > 1 ? points.reduce((sum, score) => sum + ((score - mean) ** 2), 0) / (total - 1) : 0;
+  const error = Z * Math.sqrt(variance / Math.max(total, 1));
+
+  const summary = player => ({
+    name: player.name,
+    level: player.level,
+    moves: player.moves,
+    fallbacks: player.fallbacks,
+    nodesPerMove: player.moves > 0 ? round(player.nodes / player.moves) : 0,
+    millisecondsPerMove: player.moves > 0 ? round(player.milliseconds / player.moves) : 0,
+  });
+
+  return {
+    commit: settings.commit,
+    variant: settings.variant,
+    seed: settings.seed,
+    budget: settings.budget,
+    games: total,
+    a: summary(players.a),
+    b: summary(players.b),
+    wins: Object.assign({ count: tally.wins }, wilson(tally.wins, total)),
+    draws: Object.assign({ count: tally.draws }, wilson(tally.draws, total)),
+    losses: Object.assign({ count: tally.losses }, wilson(tally.losses, total)),
+    score: {
+      rate: round(mean),
+      low: round(Math.max(0, mean - error)),
+      high: round(Math.min(1, mean + error)),
+    },
+    sides,
+    averageLength: total > 0 ? round(moves / total) : 0,
+  };
+}
+
+// Results are only worth comparing if we know what code made them, so we note
+// the commit we're on when there is one.
+
+function commit() {
+  try {
+    return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function main() {
+  let settings;
+
+  try {
+    settings = parse(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  settings.commit = commit();
+  const random = AI.seeded(settings.seed);
+
+  const players = {};
+  ['a', 'b'].forEach((name) => {
+    players[name] = {
+      name: settings[name],
+      level: settings[`${name}-level`],
+      moves: 0,
+      fallbacks: 0,
+      nodes: 0,
+      milliseconds: 0,
+    };
+  });
+
+  const games = [];
+  const played = Array.from({ length: settings.games }, (_, i) => i).reduce((done, i) => done.then(() => {
+    const side = i % 2 === 0 ? 'x' : 'y';
+    const seats = side === 'x' ? { x: players.a, y: players.b } : { x: players.b, y: players.a };
+    return play(settings, seats, Math.floor(random() * 4294967296)).then((board) => {
+      games.push({ side, result: board.result, length: board.history.length });
+    });
+  }), Promise.resolve());
+
+  played.then(() => {
+    const json = `${JSON.stringify(report(settings, games, players), null, 2)}\n`;
+    if (settings.output) {
+      fs.writeFileSync(path.resolve(settings.output), json);
+    } else {
+      process.stdout.write(json);
+    }
+  });
+}
+
+main();